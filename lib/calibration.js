@@ -0,0 +1,230 @@
+/**
+ * Calibration converts distances and angles into the time the robot has to
+ * walk or turn. Out of the box it assumes the STEMI hexapod on a flat floor:
+ * MAX_SPEED seconds for 1 m at full power, ROTATION_TIME seconds for a full
+ * turn at full rotation, both scaling linearly with power. Every robot and
+ * surface differs, so a profile can be measured for each robot (see
+ * calibrate()), saved to a JSON file and loaded later.
+ *
+ * Profile holds measurements for (power, gait) pairs, gait being the
+ * slidersArray[1] of the packet:
+ *
+ *   {
+ *     name: 'stemi-1',
+ *     MAX_SPEED: 13,
+ *     ROTATION_TIME: 13,
+ *     entries: [
+ *       {power: 100, gait: 25, secondsPerMeter: 11.2, secondsPerTurn: 14.1},
+ *       {power: 50, gait: 25, secondsPerMeter: 23.9}
+ *     ]
+ *   }
+ *
+ * Speed for a power which wasn't measured is interpolated between the nearest
+ * measured ones (and zero at power 0), using the entries of the nearest
+ * measured gait.
+ */
+
+var fs     = require('fs');
+var _      = require('lodash');
+var Packet = require('./packet.js');
+
+/**
+ * @param {object} [profile] as described above
+ */
+var Calibration = function(profile){
+  profile = profile || {};
+  this.name = profile.name;
+  this.MAX_SPEED = profile.MAX_SPEED || 13;         // seconds for 1 m
+  this.ROTATION_TIME = profile.ROTATION_TIME || 13; // seconds for 360 deg. turn
+  this.entries = [];
+  (profile.entries || []).forEach(function(entry){
+    this.set(entry.power, entry.gait, entry);
+  }, this);
+}
+
+/**
+ * Stores a measurement, replacing the one for the same power and gait.
+ *
+ * @param {number} power [1..100] power (or rotation) used when measuring
+ * @param {number} gait [0..100]
+ * @param {object} values {secondsPerMeter, secondsPerTurn}, either or both
+ */
+Calibration.prototype.set = function(power, gait, values){
+  if(!(power > 0 && power <= 100)){
+    throw new RangeError('Calibration: power must be in <0..100], got ' + power);
+  }
+  var entry = _.find(this.entries, {power: power, gait: gait});
+  if(!entry){
+    entry = {power: power, gait: gait};
+    this.entries.push(entry);
+  }
+  ['secondsPerMeter', 'secondsPerTurn'].forEach(function(name){
+    if(values[name] > 0) entry[name] = values[name];
+  });
+  return this;
+}
+
+/**
+ * @param {number} power [0..100]
+ * @param {number} [gait] [0..100]
+ * @returns {number} seconds the robot needs to walk 1 m; Infinity for power 0
+ */
+Calibration.prototype.secondsPerMeter = function(power, gait){
+  return 1 / this.rate('secondsPerMeter', this.MAX_SPEED, power, gait);
+}
+
+/**
+ * @param {number} rotation [-100..100], only the magnitude matters
+ * @param {number} [gait] [0..100]
+ * @returns {number} seconds the robot needs to turn 360 degrees
+ */
+Calibration.prototype.secondsPerTurn = function(rotation, gait){
+  return 1 / this.rate('secondsPerTurn', this.ROTATION_TIME, Math.abs(rotation), gait);
+}
+
+/**
+ * Inverse of secondsPerMeter().
+ *
+ * @param {number} metersPerSecond
+ * @param {number} [gait] [0..100]
+ * @returns {number} power needed to walk at the speed; over 100 if the robot
+ *                   can't walk that fast
+ */
+Calibration.prototype.powerFor = function(metersPerSecond, gait){
+  return this.inverse('secondsPerMeter', this.MAX_SPEED, metersPerSecond, gait);
+}
+
+/**
+ * Inverse of secondsPerTurn().
+ *
+ * @param {number} degreesPerSecond
+ * @param {number} [gait] [0..100]
+ * @returns {number} rotation needed to turn at the rate; over 100 if the
+ *                   robot can't turn that fast
+ */
+Calibration.prototype.rotationFor = function(degreesPerSecond, gait){
+  return this.inverse('secondsPerTurn', this.ROTATION_TIME, degreesPerSecond/360, gait);
+}
+
+/**
+ * Finds the power at which rate() reaches the given value. Rate grows with
+ * power, so bisection does the job.
+ */
+Calibration.prototype.inverse = function(name, fullPowerTime, rate, gait){
+  if(!(rate > 0)) return 0;
+
+  var full = this.rate(name, fullPowerTime, 100, gait);
+  if(full <= rate) return 100 * rate / full;
+
+  var low = 0, high = 100;
+  for(var i = 0; i < 30; i++){
+    var middle = (low + high) / 2;
+    if(this.rate(name, fullPowerTime, middle, gait) < rate) low = middle;
+    else high = middle;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Interpolates the rate (meters or turns per second) at the given power
+ * between the measured ones, falling back to the linear model.
+ */
+Calibration.prototype.rate = function(name, fullPowerTime, power, gait){
+  if(!(power > 0)) return 0;
+
+  var measured = this.entries.filter(function(entry){ return entry[name]; });
+  if(gait !== undefined && measured.length){
+    var nearest = _.minBy(measured, function(entry){ return Math.abs(entry.gait - gait); }).gait;
+    measured = measured.filter(function(entry){ return entry.gait === nearest; });
+  }
+  var points = _.sortBy(measured.map(function(entry){
+    return [entry.power, 1 / entry[name]];
+  }), 0);
+  points.unshift([0, 0]);
+  if(points.length === 1) points.push([100, 1 / fullPowerTime]);
+
+  var i = _.findIndex(points, function(point){ return point[0] >= power; });
+  if(i < 0){ // above all the measurements; scale the last one
+    var last = points[points.length - 1];
+    return last[1] * power / last[0];
+  }
+  var a = points[i - 1] || points[i];
+  var b = points[i];
+  if(b[0] === a[0]) return b[1];
+  return a[1] + (b[1] - a[1]) * (power - a[0]) / (b[0] - a[0]);
+}
+
+Calibration.prototype.toJSON = function(){
+  return {
+    name: this.name,
+    MAX_SPEED: this.MAX_SPEED,
+    ROTATION_TIME: this.ROTATION_TIME,
+    entries: this.entries
+  };
+}
+
+/**
+ * Writes the profile to a JSON file (Node.js only).
+ *
+ * @param {string} file
+ */
+Calibration.prototype.save = function(file){
+  fs.writeFileSync(file, JSON.stringify(this, null, 2) + '\n');
+}
+
+/**
+ * Reads a profile written by save() (Node.js only).
+ *
+ * @param {string} file
+ * @returns {Calibration}
+ */
+Calibration.load = function(file){
+  return new Calibration(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+/**
+ * Guided calibration: for every power, the robot walks forward for a known
+ * time and then turns for a known time; after each move the user is asked to
+ * measure how far it got, and the measurements are stored in the profile.
+ *
+ * @param {Hexapod} hexapod robot to calibrate
+ * @param {function} ask called with a question, returns a Promise of the
+ *                       number the user measured (e.g. using readline)
+ * @param {object} [options]
+ * @param {number[]} [options.powers] powers to measure; [100] by default
+ * @param {number} [options.gait] [0..100] 25 by default
+ * @param {number} [options.time] [seconds] of each move; 3 by default
+ * @returns {Promise} resolved with this calibration when done
+ */
+Calibration.prototype.calibrate = function(hexapod, ask, options){
+  options = options || {};
+  var self    = this;
+  var powers  = options.powers || [100];
+  var gait    = options.gait !== undefined ? options.gait : 25;
+  var time    = options.time || 3;
+  var sliders = [50, gait, 0, 0, 0, 0, 0, 0, 0];
+
+  var measure = function(packet, question, store){
+    return hexapod.sendCustomPacket(packet).then(function(){
+      return ask(question);
+    }).then(function(answer){
+      if(answer > 0) store(answer);
+    });
+  }
+
+  return powers.reduce(function(done, power){
+    return done.then(function(){
+      return measure(
+        new Packet({power: power, slidersArray: sliders, duration: time*50}),
+        'Power ' + power + ': how many meters did the robot walk?',
+        function(meters){ self.set(power, gait, {secondsPerMeter: time / meters}); });
+    }).then(function(){
+      return measure(
+        new Packet({rotation: power, slidersArray: sliders, duration: time*50}),
+        'Rotation ' + power + ': how many degrees did the robot turn?',
+        function(degrees){ self.set(power, gait, {secondsPerTurn: time * 360 / degrees}); });
+    });
+  }, Promise.resolve()).then(function(){ return self; });
+}
+
+module.exports = Calibration;
@@ -0,0 +1,197 @@
+/**
+ * CustomData packs named values into the 7 user defined bytes of a packet
+ * (slidersArray[2..8]), which modified Arduino firmware can read, and unpacks
+ * them again (e.g. in the simulator). Fields are declared once and laid out
+ * in the given order:
+ *
+ *   var schema = new CustomData([
+ *     {name: 'led', type: 'enum', values: ['off', 'red', 'green', 'blue']},
+ *     {name: 'servoAngle', type: 'int8', default: 0},
+ *     {name: 'gripper', type: 'uint16'},
+ *     {name: 'buzzer', type: 'bool'},
+ *     {name: 'blink', type: 'bool'}
+ *   ]);
+ *
+ *   schema.encode({led: 'red', servoAngle: 40}); // -> [1, 40, 0, 0, 0, 0, 0]
+ *
+ * Field types:
+ *   uint8  - [0..255], one byte
+ *   int8   - [-128..127], one byte, two's complement
+ *   uint16 - [0..65535], two bytes, big endian (like Packet.duration)
+ *   bool   - one bit; consecutive bool fields share a byte, the first one
+ *            in the lowest bit (up to 8 per byte)
+ *   enum   - one byte holding the index of the value in field.values
+ *
+ * Fields which aren't given a value get their default (0, false or the first
+ * enum value, unless field.default says otherwise). Print schema.layout to see
+ * which byte (and bit) holds which field, when writing the firmware side.
+ */
+
+var _ = require('lodash');
+
+var BYTES = 7; // slidersArray[2..8]
+
+var TYPES = {
+  uint8:  {size: 1, min: 0, max: 255},
+  int8:   {size: 1, min: -128, max: 127},
+  uint16: {size: 2, min: 0, max: 65535},
+  bool:   {size: 0},
+  enum:   {size: 1}
+}
+
+/**
+ * @param {object[]} fields {name, type, values, default}; values only for
+ *                          'enum'
+ * @throws {TypeError} if a field is not valid
+ * @throws {RangeError} if the fields don't fit into 7 bytes
+ */
+var CustomData = function(fields){
+  var offset = 0;
+  var bit = 8;     //next free bit in the last flags byte; 8 -> none free
+  this.fields = [];
+  this.layout = {};
+
+  (fields || []).forEach(function(field){
+    var type = TYPES[field.type];
+    if(!field.name || typeof field.name !== 'string'){
+      throw new TypeError('CustomData: every field needs a name');
+    }
+    if(this.layout[field.name]){
+      throw new TypeError('CustomData: duplicate field \'' + field.name + '\'');
+    }
+    if(!type){
+      throw new TypeError('CustomData.' + field.name + ': unknown type \'' + field.type +
+                          '\'; expected one of: ' + Object.keys(TYPES).join(', '));
+    }
+    if(field.type === 'enum' && !(field.values && field.values.length > 0 && field.values.length <= 256)){
+      throw new TypeError('CustomData.' + field.name + ': enum needs 1 to 256 values');
+    }
+
+    var place = {type: field.type, byte: offset};
+    if(field.type === 'bool'){
+      if(bit === 8){
+        bit = 0;
+        offset++;
+      }
+      place.byte = offset - 1;
+      place.bit = bit++;
+    } else {
+      bit = 8;
+      offset += type.size;
+    }
+    if(offset > BYTES){
+      throw new RangeError('CustomData: fields need ' + offset + ' bytes, only ' + BYTES +
+                           ' are available (field \'' + field.name + '\')');
+    }
+
+    this.layout[field.name] = place;
+    this.fields.push(_.assign({}, field, place, {default: this.check(field, defaultOf(field))}));
+  }, this);
+}
+
+var defaultOf = function(field){
+  if(field.default !== undefined) return field.default;
+  if(field.type === 'bool') return false;
+  if(field.type === 'enum') return field.values[0];
+  return 0;
+}
+
+/**
+ * @returns {number|boolean} the value as it will be stored (enum -> index)
+ * @throws {TypeError|RangeError} if the value doesn't fit the field
+ */
+CustomData.prototype.check = function(field, value){
+  var name = 'CustomData.' + field.name;
+  if(field.type === 'bool'){
+    if(typeof value !== 'boolean' && value !== 0 && value !== 1){
+      throw new TypeError(name + ' must be a boolean, got ' + value);
+    }
+    return !!value;
+  }
+  if(field.type === 'enum'){
+    var index = field.values.indexOf(value);
+    if(index < 0){
+      throw new RangeError(name + ' must be one of: ' + field.values.join(', ') + '; got ' + value);
+    }
+    return index;
+  }
+
+  var type = TYPES[field.type];
+  if(typeof value !== 'number' || isNaN(value)){
+    throw new TypeError(name + ' must be a number, got ' + value);
+  }
+  value = Math.round(value);
+  if(value < type.min || value > type.max){
+    throw new RangeError(name + ' must be in [' + type.min + '..' + type.max + '], got ' + value);
+  }
+  return value;
+}
+
+/**
+ * @param {object} values {name: value}; missing fields get their defaults
+ * @returns {number[]} 7 bytes for slidersArray[2..8]
+ * @throws {TypeError|RangeError} if a value doesn't fit its field, or there's
+ *         no such field
+ */
+CustomData.prototype.encode = function(values){
+  var self  = this;
+  var bytes = [0, 0, 0, 0, 0, 0, 0];
+  values = values || {};
+
+  _.forEach(values, function(value, name){
+    if(!self.layout[name]){
+      throw new TypeError('CustomData: unknown field \'' + name + '\'');
+    }
+  });
+
+  this.fields.forEach(function(field){
+    var value = values[field.name] === undefined ? field.default : self.check(field, values[field.name]);
+    switch(field.type){
+      case 'bool':
+        if(value) bytes[field.byte] |= 1 << field.bit;
+        break;
+      case 'uint16':
+        bytes[field.byte] = value >> 8;
+        bytes[field.byte + 1] = value & 255;
+        break;
+      default:
+        bytes[field.byte] = value & 255;
+    }
+  });
+  return bytes;
+}
+
+/**
+ * Inverse of encode().
+ *
+ * @param {number[]} bytes 7 bytes, or the whole 9 element slidersArray
+ * @returns {object} {name: value} for all the fields; enum values which are
+ *                   out of field.values are returned as numbers
+ */
+CustomData.prototype.decode = function(bytes){
+  if(bytes.length === 9) bytes = bytes.slice(2);
+  var values = {};
+
+  this.fields.forEach(function(field){
+    var byte = bytes[field.byte];
+    switch(field.type){
+      case 'bool':
+        values[field.name] = !!(byte & (1 << field.bit));
+        break;
+      case 'int8':
+        values[field.name] = byte > 127 ? byte - 256 : byte;
+        break;
+      case 'uint16':
+        values[field.name] = byte * 256 + bytes[field.byte + 1];
+        break;
+      case 'enum':
+        values[field.name] = byte < field.values.length ? field.values[byte] : byte;
+        break;
+      default:
+        values[field.name] = byte;
+    }
+  });
+  return values;
+}
+
+module.exports = CustomData;
@@ -0,0 +1,152 @@
+/**
+ * Finds STEMI robots on the local network, so that the user can pick one
+ * instead of typing its address. Every address of the subnet is probed on the
+ * robot's port (see probes.js):
+ *
+ *   - over TCP, which is how the tcp transport streams packets
+ *   - over HTTP, with a resting packet sent to '/send', which only the robot
+ *     (or the simulator) accepts
+ *
+ * Hosts which answer are candidates; the ones which accepted the packet are
+ * robots. The robot is assumed to answer the packet with 'OK', as the
+ * simulator does; if your firmware answers something else, set
+ * options.answer. Since the packet makes the robot rest, robots which are
+ * being driven stand still for a moment while they are probed. Example:
+ *
+ *   var discovery = require('hexapod-js/lib/discovery');
+ *   discovery.scan({subnet: '192.168.4.0/24'}).then(function(candidates){
+ *     candidates.forEach(function(c){ console.log(c.ip, c.robot, c.latency); });
+ *   });
+ *
+ * In the web browser only the HTTP probe works (see probes-browser.js).
+ */
+
+var _       = require('lodash');
+var Hexapod = require('./hexapod.js').Hexapod;
+var probes  = require('./probes.js');
+
+var MAX_HOSTS = 65536;
+var ANSWER    = 'OK'; //body the robot answers a packet with (see simulator.js)
+
+/**
+ * @param {string} subnet CIDR, e.g. '192.168.4.0/24' (a single address is /32)
+ * @returns {string[]} addresses of the subnet's hosts; the network and
+ *                     broadcast addresses are left out, except for /31 and /32
+ * @throws {Error} if the subnet is invalid or has more than 65536 addresses
+ */
+var hosts = function(subnet){
+  var match = /^([\d.]+)(?:\/(\d+))?$/.exec(String(subnet).trim());
+  var prefix = match && (match[2] !== undefined ? Number(match[2]) : 32);
+  if(!match || !Hexapod.isValidIP(match[1]) || !(prefix >= 0 && prefix <= 32)){
+    throw new Error('Discovery: invalid subnet \'' + subnet + '\'; expected e.g. 192.168.4.0/24');
+  }
+  var size = Math.pow(2, 32 - prefix);
+  if(size > MAX_HOSTS){
+    throw new Error('Discovery: subnet ' + subnet + ' is too big; at most /16 can be scanned');
+  }
+
+  var address = match[1].split('.').reduce(function(sum, byte){ return sum*256 + Number(byte); }, 0);
+  var network = address - address % size;
+  var first = size > 2 ? network + 1 : network;
+  var last  = size > 2 ? network + size - 2 : network + size - 1;
+  return _.range(first, last + 1).map(function(n){
+    return [n >>> 24, n >>> 16 & 255, n >>> 8 & 255, n & 255].join('.');
+  });
+}
+
+/**
+ * Probes one address.
+ *
+ * @param {string} ip
+ * @param {number} [port] 80 by default
+ * @param {object} [options]
+ * @param {number} [options.timeout] [ms] per probe; 500 by default
+ * @param {string} [options.answer] body the robot answers the packet with;
+ *        'OK' by default, null to take any answer with status 200
+ * @returns {Promise} resolved with the candidate {ip, port, robot, tcp, http,
+ *   latency, response}, or undefined if nothing answered:
+ *     robot    - true if '/send' accepted the packet (see options.answer)
+ *     tcp      - true if the TCP port is open
+ *     http     - true if '/send' answered, whatever the answer was
+ *     latency  - [ms] of the HTTP probe if it was answered, of the TCP one
+ *                otherwise
+ *     response - body of the HTTP answer
+ */
+var probe = function(ip, port, options){
+  port = port || 80;
+  var timeout = options && options.timeout || 500;
+  var answer  = options && options.answer !== undefined ? options.answer : ANSWER;
+
+  return Promise.all([
+    probes.probeTcp(ip, port, timeout),
+    probes.probeHttp(ip, port, timeout, answer)
+  ]).then(function(results){
+    var tcp = results[0], http = results[1];
+    var answered = http.response !== undefined;
+    if(!tcp.ok && !answered) return undefined;
+    return {
+      ip: ip,
+      port: port,
+      robot: http.ok,
+      tcp: tcp.ok,
+      http: answered,
+      latency: answered ? http.latency : tcp.latency,
+      response: http.response
+    };
+  });
+}
+
+/**
+ * Probes all the addresses of the subnet, a few at a time.
+ *
+ * @param {object} [options]
+ * @param {string} [options.subnet] '192.168.4.0/24' (the robot's own WiFi)
+ *        by default; see hosts()
+ * @param {string[]} [options.hosts] addresses to probe instead of the subnet
+ * @param {number} [options.port] 80 by default
+ * @param {number} [options.timeout] [ms] per probe; 500 by default
+ * @param {string} [options.answer] see probe()
+ * @param {number} [options.concurrency] addresses probed at the same time;
+ *        32 by default
+ * @param {function} [options.onCandidate] called with each candidate as soon
+ *        as it is found
+ * @param {function} [options.onProgress] called with (probed, total) after
+ *        each address
+ * @returns {Promise} resolved with the candidates (see probe), robots first,
+ *                    then by latency; rejected if the subnet is invalid
+ */
+var scan = function(options){
+  options = options || {};
+  var addresses;
+  try {
+    addresses = options.hosts || hosts(options.subnet || '192.168.4.0/24');
+  } catch(error) {
+    return Promise.reject(error);
+  }
+  var concurrency = options.concurrency || 32;
+  var candidates  = [];
+  var next        = 0;
+  var probed      = 0;
+
+  var worker = function(){
+    if(next >= addresses.length) return Promise.resolve();
+    var ip = addresses[next++];
+    return probe(ip, options.port, options).then(function(candidate){
+      probed++;
+      if(candidate){
+        candidates.push(candidate);
+        if(options.onCandidate) options.onCandidate(candidate);
+      }
+      if(options.onProgress) options.onProgress(probed, addresses.length);
+      return worker();
+    });
+  };
+
+  return Promise.all(_.times(Math.min(concurrency, addresses.length), worker)).then(function(){
+    return _.sortBy(candidates, [function(c){ return c.robot ? 0 : 1; }, 'latency']);
+  });
+}
+
+exports.hosts = hosts;
+exports.probe = probe;
+exports.scan  = scan;
@@ -0,0 +1,442 @@
+/**
+ * Fleet drives several robots together, e.g. for a school show. Each robot
+ * keeps its own Hexapod (address, queue and timers); the fleet hands the
+ * commands out and keeps the robots in step.
+ *
+ *   var fleet = new Fleet({
+ *     leader: new Hexapod('192.168.4.1', 80, {transport: 'tcp'}),
+ *     mirror: {ip: '192.168.4.2', port: 80, options: {transport: 'tcp'},
+ *              formation: {mirror: true}},
+ *     tail:   {ip: '192.168.4.3', port: 80, options: {transport: 'tcp'},
+ *              formation: {delay: 2}}
+ *   });
+ *
+ *   fleet.connect().then(function(){
+ *     fleet.goForward(0.5);                 // everybody
+ *     fleet.sync();                         // wait for each other
+ *     fleet.program({
+ *       leader: function(h){ h.turn(360); },
+ *       mirror: function(h){ h.tiltLeft(2); h.tiltRight(2); }
+ *     });
+ *     fleet.sync();
+ *     return fleet.turnRight(90);           // mirror turns left
+ *   });
+ *
+ * Commands given after sync() are held back until every robot has finished
+ * the ones before it, so all the robots start the next part together.
+ *
+ * Formation of a robot:
+ *
+ *   mirror - mirrors the broadcast commands left to right: turns, strafes,
+ *            arcs, side tilts and goTo/followPath x coordinates change sign
+ *   delay  - [seconds] follow the leader: the robot starts each part (the
+ *            commands between two sync()s) this much later than the others
+ *
+ * Emits:
+ *   behind       - {name, lag, time}; robot still hasn't reached a sync()
+ *                  lag seconds after the first one did (see options.maxLag)
+ *   disconnected - {name, time}; robot's streaming link dropped. sync()
+ *                  doesn't wait for it until the link is back; its queue is
+ *                  paused (see Hexapod's safeStop) until resume()
+ *   reconnected  - {name, time}; link is back
+ *   commandError - {name, error, time}; a command failed on the robot
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var util         = require('util');
+var _            = require('lodash');
+var Hexapod      = require('./hexapod.js').Hexapod;
+var Packet       = require('./packet.js');
+
+/**
+ * Hexapod's commands, which the fleet broadcasts to all its robots.
+ */
+var COMMANDS = ['goForward', 'goBack', 'strafe', 'turnLeft', 'turnRight', 'turn',
+                'arc', 'goTo', 'faceHeading', 'followPath', 'home', 'rest',
+                'tiltForward', 'tiltBack', 'tiltLeft', 'tiltRight', 'playSequence',
+                'setStance', 'setHeight', 'setGait', 'sendCustom', 'sendCustomPacket'];
+
+/**
+ * @param {object} [robots] {name: robot}, robot being a Hexapod or
+ *        {ip, port, options, formation} (see add)
+ * @param {object} [options]
+ * @param {number} [options.maxLag] [seconds] how long sync() waits for the
+ *        last robot before reporting it 'behind'; 2 by default
+ */
+var Fleet = function(robots, options){
+  EventEmitter.call(this);
+  options = options || {};
+  this.maxLag = options.maxLag !== undefined ? options.maxLag : 2;
+  this.robots = {};                  //name -> {name, hexapod, formation, pending, ...}
+  this.barrier = Promise.resolve();  //the last sync()
+  this.epoch = 0;                    //changed by clear(), to drop held back commands
+
+  _.forEach(robots, function(robot, name){ this.add(name, robot); }.bind(this));
+}
+
+util.inherits(Fleet, EventEmitter);
+
+/**
+ * @param {string} name
+ * @param {Hexapod|object} robot Hexapod, or {ip, port, options, formation}
+ *        to create one (options are the Hexapod's)
+ * @param {object} [formation] {mirror, delay}, see above; robot.formation by
+ *        default
+ * @returns {Hexapod}
+ * @throws {Error} if there already is a robot with the name
+ */
+Fleet.prototype.add = function(name, robot, formation){
+  if(this.robots[name]) throw new Error('Fleet: there already is a robot named \'' + name + '\'');
+
+  var self    = this;
+  var hexapod = robot instanceof Hexapod ? robot : new Hexapod(robot.ip, robot.port, robot.options);
+  var entry   = {
+    name: name,
+    hexapod: hexapod,
+    formation: _.defaults({}, formation || robot.formation, {mirror: false, delay: 0}),
+    pending: Promise.resolve(), //settled when the robot is done with its commands
+    delayed: false,             //rest of the delay is queued for this part
+    lost: false
+  };
+  resetLost(entry);
+
+  entry.listeners = {
+    linkLost: function(){
+      entry.lost = true;
+      entry.onLost();
+      self.emit('disconnected', {name: name, time: Date.now()});
+    },
+    linkRecovered: function(){
+      entry.lost = false;
+      resetLost(entry);
+      self.emit('reconnected', {name: name, time: Date.now()});
+    }
+  };
+  _.forEach(entry.listeners, function(listener, event){ hexapod.on(event, listener); });
+
+  this.robots[name] = entry;
+  return hexapod;
+}
+
+/**
+ * Takes the robot out of the fleet; its Hexapod is left as it is.
+ *
+ * @param {string} name
+ * @returns {Hexapod} undefined if there is no such robot
+ */
+Fleet.prototype.remove = function(name){
+  var entry = this.robots[name];
+  if(!entry) return undefined;
+  _.forEach(entry.listeners, function(listener, event){
+    entry.hexapod.removeListener(event, listener);
+  });
+  delete this.robots[name];
+  return entry.hexapod;
+}
+
+/**
+ * @param {string} name
+ * @returns {Hexapod} undefined if there is no such robot
+ */
+Fleet.prototype.get = function(name){
+  return this.robots[name] && this.robots[name].hexapod;
+}
+
+/**
+ * @returns {string[]} names of the robots
+ */
+Fleet.prototype.names = function(){
+  return Object.keys(this.robots);
+}
+
+/**
+ * Opens the links of the robots with streaming transports (see
+ * Hexapod.connect).
+ *
+ * @returns {Promise} resolved when all the links are up; rejected with the
+ *                    first failure, prefixed with the robot's name
+ */
+Fleet.prototype.connect = function(){
+  return Promise.all(_.map(this.robots, function(entry){
+    if(!entry.hexapod.transport.streaming) return Promise.resolve();
+    return entry.hexapod.connect().catch(function(error){
+      throw new Error(entry.name + ': ' + error.message);
+    });
+  }));
+}
+
+/**
+ * Stops all the robots, cancels their commands and closes the links.
+ *
+ * @returns {Promise} resolved when all the links are closed
+ */
+Fleet.prototype.disconnect = function(){
+  this.clear();
+  return Promise.all(_.map(this.robots, function(entry){ return entry.hexapod.disconnect(); }));
+}
+
+/**
+ * Queues the command on all the robots, mirrored for the mirroring ones.
+ * The commands, e.g. fleet.goForward(0.5), call this.
+ *
+ * @param {string} method name of the Hexapod's command
+ * @param {Array} [args]
+ * @returns {Promise} resolved when all the robots are done; rejected if any
+ *                    of them fails
+ */
+Fleet.prototype.broadcast = function(method, args){
+  if(COMMANDS.indexOf(method) < 0){
+    return Promise.reject(new Error('Fleet: ' + method + ' is not a command'));
+  }
+  return handled(Promise.all(_.map(this.robots, function(entry){
+    return this.queue(entry, function(hexapod){
+      var call = entry.formation.mirror ? mirror(method, args || []) : {method: method, args: args || []};
+      return hexapod[call.method].apply(hexapod, call.args);
+    });
+  }.bind(this))));
+}
+
+/**
+ * Gives each robot its own program.
+ *
+ *   fleet.program({
+ *     left:  function(h){ h.turnLeft(90); h.goForward(0.2); },
+ *     right: function(h){ h.turnRight(90); h.goForward(0.2); }
+ *   });
+ *
+ * @param {object} programs {name: function(hexapod)}; the function queues
+ *        commands on the robot's Hexapod, which the next sync() waits for,
+ *        and may return a Promise, which it waits for too
+ * @returns {Promise} resolved when all the programs are done
+ */
+Fleet.prototype.program = function(programs){
+  var self = this;
+  var unknown = _.find(Object.keys(programs), function(name){ return !self.robots[name]; });
+  if(unknown !== undefined){
+    return Promise.reject(new Error('Fleet: there is no robot named \'' + unknown + '\''));
+  }
+  return handled(Promise.all(_.map(programs, function(program, name){
+    return self.queue(self.robots[name], function(hexapod){
+      return Promise.resolve(program(hexapod));
+    });
+  })));
+}
+
+/**
+ * Runs the action once the last sync() is reached, and keeps track of it for
+ * the next one.
+ */
+Fleet.prototype.queue = function(entry, action){
+  var self  = this;
+  var epoch = this.epoch;
+
+  var promise = this.barrier.then(function(){
+    if(epoch !== self.epoch) throw new Error('Fleet: cancelled');
+    if(entry.formation.delay > 0 && !entry.delayed){
+      entry.delayed = true;
+      entry.hexapod.rest(entry.formation.delay);
+    }
+    return action(entry.hexapod);
+  });
+  promise.catch(function(error){
+    self.emit('commandError', {name: entry.name, error: error, time: Date.now()});
+  });
+  entry.pending = Promise.all([entry.pending, promise.catch(_.noop).then(function(){
+    return drained(entry.hexapod);
+  })]);
+  return promise;
+}
+
+/**
+ * Barrier: commands given after sync() start only when all the robots are
+ * done with the ones before it. Robots whose link is down aren't waited for.
+ *
+ * @returns {Promise} resolved when all the robots are there, with
+ *   {arrivals, lag, missing}: arrivals is {name: time [ms since epoch]} of
+ *   the robots which got there, lag [seconds] is between the first and the
+ *   last of them, and missing are the names of the disconnected ones
+ */
+Fleet.prototype.sync = function(){
+  var self     = this;
+  var entries  = _.values(this.robots);
+  var arrivals = {};
+  var timer;
+
+  var behind = function(){
+    entries.forEach(function(entry){
+      if(!arrivals[entry.name] && !entry.lost){
+        self.emit('behind', {name: entry.name, lag: self.maxLag, time: Date.now()});
+      }
+    });
+  };
+
+  var waiting = entries.map(function(entry){
+    return Promise.race([entry.pending, entry.whenLost]).then(function(){
+      if(entry.lost) return;
+      arrivals[entry.name] = Date.now();
+      if(!timer) timer = setTimeout(behind, self.maxLag*1000);
+    });
+  });
+
+  this.barrier = this.barrier.then(function(){
+    return Promise.all(waiting);
+  }).then(function(){
+    clearTimeout(timer);
+    entries.forEach(function(entry){ entry.delayed = false; });
+    var times = _.values(arrivals);
+    return {
+      arrivals: arrivals,
+      lag: times.length ? (_.max(times) - _.min(times))/1000 : 0,
+      missing: _.map(_.filter(entries, 'lost'), 'name')
+    };
+  });
+  return this.barrier;
+}
+
+/**
+ * Drops the commands held back by sync() and cancels the ones waiting in the
+ * robots' queues. The robots finish their current commands.
+ */
+Fleet.prototype.clear = function(){
+  this.epoch++;
+  this.barrier = Promise.resolve();
+  _.forEach(this.robots, function(entry){
+    entry.hexapod.clear();
+    entry.delayed = false;
+  });
+}
+
+/**
+ * Stops all the robots at once (see Hexapod.emergencyStop) and drops all
+ * their commands.
+ *
+ * @param {object} [options] {sleep}
+ */
+Fleet.prototype.emergencyStop = function(options){
+  this.clear();
+  _.forEach(this.robots, function(entry){ entry.hexapod.emergencyStop(options); });
+}
+
+Fleet.prototype.pause = function(){
+  _.forEach(this.robots, function(entry){ entry.hexapod.pause(); });
+}
+
+Fleet.prototype.resume = function(){
+  _.forEach(this.robots, function(entry){ entry.hexapod.resume(); });
+}
+
+/**
+ * @returns {object} {name: {connected, lost, state, queued, pose}}; state is
+ *                   'idle', 'running' or 'paused', queued is the number of
+ *                   commands waiting in the robot's queue
+ */
+Fleet.prototype.status = function(){
+  return _.mapValues(this.robots, function(entry){
+    return {
+      connected: entry.hexapod.connected,
+      lost: entry.lost,
+      state: entry.hexapod.robotState,
+      queued: entry.hexapod.cmdStack.length,
+      pose: entry.hexapod.getPose()
+    };
+  });
+}
+
+COMMANDS.forEach(function(method){
+  Fleet.prototype[method] = function(){
+    return this.broadcast(method, _.toArray(arguments));
+  };
+});
+
+var resetLost = function(entry){
+  entry.whenLost = new Promise(function(resolve){ entry.onLost = resolve; });
+}
+
+var SWAPPED = {turnLeft: 'turnRight', turnRight: 'turnLeft', tiltLeft: 'tiltRight', tiltRight: 'tiltLeft'};
+
+/**
+ * Failures are reported with 'commandError' (see queue); scripts which don't
+ * wait for the result shouldn't crash on them, e.g. after emergencyStop().
+ */
+var handled = function(promise){
+  promise.catch(_.noop);
+  return promise;
+}
+
+/**
+ * @returns {Promise} resolved when the robot's command queue is done, or the
+ *                    robot was stopped
+ */
+var drained = function(hexapod){
+  if(hexapod.robotState === 'idle' && !hexapod.cmdStack.length) return Promise.resolve();
+  return new Promise(function(resolve){
+    var done = function(){
+      hexapod.removeListener('queueEmpty', done);
+      hexapod.removeListener('emergencyStop', done);
+      resolve();
+    };
+    hexapod.on('queueEmpty', done);
+    hexapod.on('emergencyStop', done);
+  });
+}
+
+/**
+ * @returns {object} {method, args} of the command mirrored left to right
+ */
+var mirror = function(method, args){
+  args = args.slice();
+  switch(method){
+    case 'turnLeft':
+    case 'turnRight':
+    case 'tiltLeft':
+    case 'tiltRight':
+      return {method: SWAPPED[method], args: args};
+    case 'strafe':
+    case 'turn':
+    case 'faceHeading':
+      args[0] = -args[0];
+      break;
+    case 'arc':
+      args[1] = -args[1];
+      break;
+    case 'goTo':
+      args[0] = -args[0];
+      break;
+    case 'followPath':
+      args[0] = _.map(args[0], function(point){
+        return _.isArray(point) ? [-point[0], point[1]] : _.assign({}, point, {x: -point.x});
+      });
+      break;
+    case 'sendCustomPacket':
+      args[0] = new Packet(mirrorValues(args[0]));
+      break;
+    case 'playSequence':
+      var sequence = args[0];
+      args[0] = typeof sequence === 'function' ?
+                function(t){ return mirrorValues(sequence(t)); } : _.map(sequence, mirrorValues);
+      break;
+  }
+
+  // goTo, faceHeading, followPath and home can be told which way to turn
+  var index = {goTo: 2, faceHeading: 1, followPath: 1, home: 0}[method];
+  var options = index !== undefined && args[index];
+  if(options && (options.direction === 'left' || options.direction === 'right')){
+    args[index] = _.assign({}, options, {direction: options.direction === 'left' ? 'right' : 'left'});
+  }
+  return {method: method, args: args};
+}
+
+/**
+ * Mirrors Packet parameters: walking angle, rotation and side tilt.
+ */
+var mirrorValues = function(values){
+  var mirrored = _.clone(values);
+  ['angle', 'rotation', 'accY'].forEach(function(name){
+    if(isFinite(mirrored[name]) && mirrored[name] !== 0) mirrored[name] = -mirrored[name];
+  });
+  return mirrored;
+}
+
+Fleet.COMMANDS = COMMANDS;
+
+module.exports = Fleet;
@@ -1,167 +1,349 @@
 /**
- * Node.js library for controling the STEMI hexapod (http:/www.stemi.education/).
+ * Library for controling the STEMI hexapod (http:/www.stemi.education/).
+ *
+ * The same code runs in Node.js and, bundled with 'npm run build', in the web
+ * browser; only the transports differ (see transports/).
  *
  * @author Vlatko Klabucar <vlatko@stemi.education>
  */
 
-var Socket = require('net').Socket;
-var _      = require('lodash');
-var log    = require('loglevel');
-var http   = require('http')
+var EventEmitter = require('events').EventEmitter;
+var util         = require('util');
+var _            = require('lodash');
+var log          = require('loglevel');
+var transports   = require('./transports');
+var Packet       = require('./packet.js');
+var Calibration  = require('./calibration.js');
+var CustomData   = require('./customdata.js');
+var Odometry     = require('./odometry.js');
+var Telemetry    = require('./telemetry.js');
+var SafetyPolicy = require('./safety.js');
 
 log.setLevel(log.levels.DEBUG);
 
-var Hexapod = function(ip, port){
+/**
+ * Hexapod is an EventEmitter. Besides the debug log, everything that happens
+ * with the robot is reported through these events:
+ *
+ *   commandStart   - {cmd, packet, duration, startTime}; command's packet is
+ *                    about to be sent, duration is in seconds
+ *   commandEnd     - {cmd, packet, duration, startTime, endTime}
+ *   queueEmpty     - {time}; last command is done, robot is resting
+ *   packetSent     - {packet, transport, time}; transport is the name of
+ *                    the transport, e.g. 'http'
+ *   connected      - {ip, port, time}; streaming link established (connect)
+ *   disconnected   - {ip, port, time}
+ *   linkLost       - {time}; streaming link dropped unexpectedly, the
+ *                    transport is trying to reconnect
+ *   linkRecovered  - {time}; link is back, resting packet was sent
+ *   transportError - {error, packet, transport, time}; packet is undefined if
+ *                    the error isn't related to a particular packet
+ *   paused         - {cmd, remaining, time}; remaining is in seconds, cmd is
+ *   resumed          undefined if nothing was running
+ *   commandCancelled - {cmd, time}
+ *   emergencyStop  - {sleep, time}
+ *   safetyViolation - {cmd, rule, error, time}; command was rejected by the
+ *                    safety policy (see safety.js)
+ *   telemetry      - {type, values, time}; robot reported something, see
+ *                    telemetry.js. Also emitted as 'telemetry:' + type, e.g.
+ *                    'telemetry:battery'
+ *
+ * All times are milliseconds since epoch.
+ *
+ * @param {string} ip
+ * @param {number} port
+ * @param {object} [options] also passed on to the transport's constructor
+ * @param {string|object} [options.transport] 'http' (default), 'tcp',
+ *        'websocket', 'dry-run' or a transport instance (see
+ *        transports/index.js); both the queued commands and connect() use it
+ *        to send the packets
+ * @param {number} [options.sendRate] [Hz] how often connect() sends the
+ *        currentPacket; 10 by default
+ * @param {object} [options.stance] {height, gait} to start with (see
+ *        setStance)
+ * @param {CustomData|object[]} [options.customData] schema of the user
+ *        defined bytes, for sendCustom (see customdata.js)
+ * @param {Calibration} [options.calibration] used to convert distances and
+ *        angles into durations, and to track the pose (see calibration.js)
+ * @param {object} [options.odometry] options of the pose tracking (see
+ *        odometry.js)
+ * @param {object[]} [options.decoders] of the firmware's own reply formats,
+ *        e.g. Telemetry.decoders.status (see telemetry.js)
+ * @param {SafetyPolicy|object|string} [options.safety] limits the commands
+ *        are checked against, or the name of a preset (see safety.js)
+ * @param {boolean} [options.safeStop] when the streaming link drops, pause
+ *        the queue, and when it recovers send a resting packet instead of
+ *        carrying on with the old one; resume() continues. True by default
+ */
+var Hexapod = function(ip, port, options){
+  EventEmitter.call(this);
+  options = options || {};
+  this.transport = transports.create(options.transport, ip, port, options);
   this.connected = false;
-  this.ROTATION_TIME = 13; // seconds for 360 deg. turn
-  this.MAX_SPEED = 13;     // seconds for 1 m
+  this.sendRate = options.sendRate || 10;
+  this.safeStop = options.safeStop !== false;
+  this.calibration = options.calibration || new Calibration();
+  this.odometry = new Odometry(this.calibration, options.odometry);
+  this.safety = options.safety instanceof SafetyPolicy ? options.safety : new SafetyPolicy(options.safety);
   this.robotState = 'idle';
   this.cmdStack = [];
-  this.currentPacket = new Packet();
-  this.ip = ip;
-  this.port = port;
+  this.stance = _.defaults({}, options.stance, Hexapod.STANCES.default);
+  this.customData = options.customData instanceof CustomData || !options.customData ?
+                    options.customData : new CustomData(options.customData);
+  this.custom = {};                //values of the customData fields
+  this.telemetryParser = new Telemetry({customData: this.customData, decoders: options.decoders});
+  this.currentPacket = this.createPacket();
   this.intervalSender = undefined; //for sending currentPacket periodically
   this.intervalSetter = undefined; //for setting currentPacket periodically
+  this.currentCmd = undefined;     //command whose packet is being executed
+  this.cmdTimer = undefined;       //ends the current command
+  this.cmdDeadline = 0;            //when cmdTimer fires [ms]
+  this.lastCmdId = 0;
+
+  var self = this;
+  this.transport.on('data', function(data){
+    log.debug('Received: ' + data);
+    self.telemetryParser.receive(data, !self.transport.streaming);
+  });
+  this.telemetryParser.on('message', function(message){
+    var event = {type: message.type, values: message.values, time: message.time};
+    self.emit('telemetry', event);
+    self.emit('telemetry:' + message.type, event);
+  });
+  this.telemetryParser.on('unknown', function(event){
+    log.debug('Unknown data from the robot: ' + event.data.toString('hex'));
+  });
+  this.transport.on('error', function(error){
+    self.emit('transportError', {
+      error: error, packet: undefined, transport: self.transport.name, time: Date.now()
+    });
+  });
+  this.transport.on('open', function(){ self.setConnected(); });
+  this.transport.on('close', function(){
+    if(self.connected){
+      self.connected = false;
+      self.emit('disconnected', {ip: self.ip, port: self.port, time: Date.now()});
+      self.emit('linkLost', {time: Date.now()});
+      if(self.safeStop && self.currentCmd) self.pause();
+    }
+  });
+  this.transport.on('reconnect', function(){
+    if(!self.safeStop || !self.intervalSender) return;
+    if(self.robotState !== 'paused') self.currentPacket = self.createPacket();
+    self.sendPacket(self.createPacket());
+    self.emit('linkRecovered', {time: Date.now()});
+  });
 }
 
+util.inherits(Hexapod, EventEmitter);
+
 /**
- * STEMI hexapod robot expects to receive binary messages we called 'Packets'.
- * Since these messages contain a lot of parameters, object 'Packet' is introduced
- * for simplicity. Unchanged, it contains all the values necessary for the robot
- * to stay still. By changing the parameters of Packet we can issue movement
- * commands for the hexapod. This is the short explanation of the parameters
- * and their valid values:
- *
- *  Translational motion:
- *   power - [0..100] speed of the robot
- *   angle - [-180..180] 0 deg -> forward; 90 deg -> right; -90 deg -> left;
- *           180 deg -> back;
- *
- *  Rotational motion:
- *   rotation - [-100..100]; speed and direction of rotation;
- *              [0..100] - clockwise; [-100..0] counterclockwise
- *
- *  Special flags (Tilt bytes are MUTUALLY EXCLUSIVE):
- *   staticTilt - [0,1] 1 -> enable body tilting according to the accelerometer
- *   movingTilt - [0,1] 1 -> enable body tilting while walking *EXPERIMENTAL*
- *   onOff      - [0,1] 1 -> robot operational; 0 -> robot sleeping
- *
- *  Accelerometer (one of the *Tilt bytes must be 1):
- *   Bytes should contain acceleration force in (m/s^2 * 10), saturated at -40 and 40
- *    accX - x axis acceleration
- *    accY - y axis acceleration
- *
- *  Sliders array:
- *   Array of 9 bytes that represent the state of 9 sliders of the Android app.
- *   Has a default value of [50, 25, 0, 0, 0, 0, 0, 0, 0]
- *    slidersArray[0]    - [0..100] robot height
- *    slidersArray[1]    - [0..100] gait
- *    slidersArray[2..8] - [0..255] user defined data; this is where users can
- *                         encode the special messages to the robot. Arduino
- *                         firmware needs to be modified in order to utilize
- *                         these bytes.
- *
- *  duration - [0..65535] specifies how long will a packet be
- *             "executed" on a robot. If 0, the robot will go in
- *             rest state as soon as the timer on robot expires.
- *             Value represents number of cycles, which is 20ms
- *             for STEMI hexapod. E.g. to command the robot to go
- *             forward for 1 second with the maximum speed, the
- *             packet would be crated as:
- *               var packet = new Packet({power: 100, duration: 50});
- *
- */
- var Packet = function(parameters){
-   var defaults = {
-     power: 0,
-     angle: 0,
-     rotation: 0,
-     staticTilt: 0,
-     movingTilt: 0,
-     onOff: 1,
-     accX: 0,
-     accY: 0,
-     slidersArray: [50, 25, 0, 0, 0, 0, 0, 0, 0],
-     duration: 0
-   }
-
-   if(parameters && parameters.slidersArray && parameters.slidersArray.length !== 9){
-     parameters.slidersArray = defaults.slidersArray;
-     log.warn('new Packet: slidersArray.length should be exactly 9; defaulting ');
-   }
-
-   for(p in parameters){
-     this[p.toString()] = parameters[p.toString()];
-   }
-
-   _.defaults(this, defaults);
- }
-
-/**
- * Generates a buffer of bytes to be sent to the robot via websocket.
- * STEMI hexapod expects first three bytes to be 'P', 'K', 'T' ASCII chars,
- * followed by 18 bytes representing the Packet.
- *
- * NOTE: angle parameter is divided by 2 to save space (one byte cannot hold
- *       values in [-180..180] range). Multiplying this value by 2 should be done
- *       on the robot side.
- *
- * @returns {Buffer}
- */
-Packet.prototype.getBuffer = function(){
-  var array = new Uint8Array(22);
-
-  array.set([80, 75, 84, // 'P', 'K', 'T'
-             this.power, this.angle/2, this.rotation, this.staticTilt,
-             this.movingTilt, this.onOff, this.accX, this.accY]);
-  array.set(this.slidersArray, 11);
-  //pack distance in 2 bytes (big endian)
-  array.set([~~(this.duration / 256), this.duration % 256], 20);
-
-  return new Buffer(array);
-}
+ * Robot's address lives in the transport, so that it can be changed at any
+ * time (e.g. hexapod.ip = '192.168.4.2').
+ */
+Object.defineProperty(Hexapod.prototype, 'ip', {
+  get: function(){ return this.transport.ip; },
+  set: function(ip){ this.transport.ip = ip; }
+});
+
+Object.defineProperty(Hexapod.prototype, 'port', {
+  get: function(){ return this.transport.port; },
+  set: function(port){ this.transport.port = port; }
+});
+
+/**
+ * What the robot reported last (see telemetry.js), e.g. {battery: 87,
+ * state: 'walking', ack: true, updated: 1700000000000}; a copy, which isn't
+ * updated.
+ */
+Object.defineProperty(Hexapod.prototype, 'telemetry', {
+  get: function(){ return _.clone(this.telemetryParser.snapshot); }
+});
+
+/**
+ * Uncalibrated speeds, used by the calibration when there are no
+ * measurements (see calibration.js).
+ */
+Object.defineProperty(Hexapod.prototype, 'MAX_SPEED', { // seconds for 1 m
+  get: function(){ return this.calibration.MAX_SPEED; },
+  set: function(seconds){ this.calibration.MAX_SPEED = seconds; }
+});
+
+Object.defineProperty(Hexapod.prototype, 'ROTATION_TIME', { // seconds for 360 deg. turn
+  get: function(){ return this.calibration.ROTATION_TIME; },
+  set: function(seconds){ this.calibration.ROTATION_TIME = seconds; }
+});
 
 /**
  * In order to produce fluid movement, robot expects to receive the commands at
- * a rate of 10Hz. This function sends the currentPacket every 100 ms over
- * persistent TCP connection, just like a smartphone app would do. For issuing
- * simpler, predifined movement sequences, please use functions in CmdEnum.
+ * a rate of 10Hz. This function sends the currentPacket every 100 ms (see
+ * options.sendRate) over the transport's persistent connection, just like a
+ * smartphone app would do (use the 'tcp' or 'websocket' transport for this).
+ * For issuing simpler, predifined movement sequences, please use functions in
+ * CmdEnum.
+ *
+ * @returns {Promise} resolved when the link is up
  */
 Hexapod.prototype.connect = function(){
-  if(!this.connected){
-    var self = this;
-    self.socket = new Socket();
-    self.socket.setTimeout(5000);
-    self.socket.on('data', function(data){ log.info('Received: ' + data); });
-    var connectError = function(){
-      log.error('Can\'t connect to TCP socket. (' + self.ip + ':' + self.port +')');
-    }
-    self.socket.on('timeout', connectError);
-    self.socket.on('error', connectError);
-    self.socket.on('connect', function(){
-      self.socket.setTimeout(0);
-      self.connected = true;
-      self.robotState = 'running';
-    });
+  var self = this;
+  if(self.intervalSender) return self.transport.open();
+
+  // send current packet every 1/sendRate seconds
+  self.intervalSender = setInterval(function(){
+    if(self.transport.connected) self.sendPacket(self.streamedPacket());
+  }, 1000 / self.sendRate);
+
+  var opening = self.transport.open().then(function(){ self.setConnected(); });
+  opening.catch(function(){}); // reported by the transport's 'error' event
+  return opening;
+}
+
+Hexapod.prototype.setConnected = function(){
+  if(this.connected || !this.intervalSender) return;
+  this.connected = true;
+  this.emit('connected', {ip: this.ip, port: this.port, time: Date.now()});
+}
 
-    self.socket.connect(self.port, self.ip);
+/**
+ * @returns {object} health of the streaming link (see transports/tcp.js), or
+ *                   undefined if the transport doesn't measure it
+ */
+Hexapod.prototype.getLinkQuality = function(){
+  return this.transport.linkQuality;
+}
+
+/**
+ * Body height and gait presets for setStance(), as slidersArray[0] and [1]
+ * values. Gait values for tripod and wave are assumptions (low values for the
+ * fast tripod gait, high for the stable wave gait); adjust them here if your
+ * robot's firmware maps the gait slider differently.
+ */
+Hexapod.STANCES = {
+  default: {height: 50, gait: 25},
+  crouch:  {height: 0},
+  tall:    {height: 100},
+  tripod:  {gait: 25},
+  wave:    {gait: 100}
+}
 
-    // send current packet every 100 ms
-    self.intervalSender = setInterval(function(){
-      self.socket.write(self.currentPacket.getBuffer());
-    }, 100);
+/**
+ * Creates a packet which keeps the robot's current stance (body height and
+ * gait) and custom data (see sendCustom), unless the parameters have their own
+ * slidersArray. All the commands make their packets this way, so the stance
+ * carries over from one command to the next.
+ *
+ * @param {object} [parameters] see Packet
+ * @returns {Packet}
+ */
+Hexapod.prototype.createPacket = function(parameters){
+  var packet = new Packet(parameters);
+  if(!(parameters && parameters.slidersArray)){
+    packet.slidersArray[0] = this.stance.height;
+    packet.slidersArray[1] = this.stance.gait;
+    if(this.customData){
+      packet.slidersArray.splice.apply(packet.slidersArray, [2, 7].concat(this.customData.encode(this.custom)));
+    }
   }
+  return packet;
 }
 
+/**
+ * @param {Packet} packet with the power and gait to walk with
+ * @param {number} meters
+ * @returns {number} seconds it takes to walk the distance (see calibration)
+ */
+Hexapod.prototype.walkingTime = function(packet, meters){
+  return this.calibration.secondsPerMeter(packet.power, packet.slidersArray[1]) * meters;
+}
+
+/**
+ * @param {Packet} packet with the rotation and gait to turn with
+ * @param {number} degrees
+ * @returns {number} seconds it takes to turn for the angle (see calibration)
+ */
+Hexapod.prototype.turningTime = function(packet, degrees){
+  return this.calibration.secondsPerTurn(packet.rotation, packet.slidersArray[1]) * degrees/360;
+}
+
+/**
+ * @param {string} ip
+ * @returns {boolean} true if ip is a valid IPv4 address, e.g. '192.168.4.1'
+ */
+Hexapod.isValidIP = function(ip){
+  return (/^(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/.test(ip))
+}
+
+/**
+ * Packet to be sent by connect()'s interval. Robot restarts the duration with
+ * every packet it receives, so while a command is running its packet is sent
+ * with only the remaining part of the duration.
+ */
+Hexapod.prototype.streamedPacket = function(){
+  var epsilon = 0.1;
+  var packet  = this.currentPacket;
+  if(!this.cmdTimer || !(packet.duration > 0)) return packet;
+
+  var remaining  = Math.max(0, (this.cmdDeadline - Date.now())/1000 - epsilon);
+  var parameters = _.clone(packet);
+  parameters.duration = Math.min(packet.duration, Math.round(remaining*50));
+  return new Packet(parameters);
+}
+
+/**
+ * Where the robot should be, judging by the packets it was sent (see
+ * odometry.js). Walking isn't precise, so the estimate drifts; calibrate the
+ * robot to keep it closer.
+ *
+ * @returns {object} {x, y, heading}; meters and degrees, relative to where
+ *                   the robot was when created or resetPose() was called
+ */
+Hexapod.prototype.getPose = function(){
+  return this.odometry.getPose();
+}
+
+/**
+ * @param {object} [pose] {x, y, heading} the robot is at; the origin by
+ *                        default
+ */
+Hexapod.prototype.resetPose = function(pose){
+  this.odometry.reset(pose);
+}
+
+/**
+ * @returns {Array} {x, y, heading, time} points the robot went through since
+ *                  the last resetPose(); hexapod.odometry.toSVG() and
+ *                  toGeoJSON() export them
+ */
+Hexapod.prototype.getPath = function(){
+  return this.odometry.getPath();
+}
+
+/**
+ * Stops the robot, cancels all the commands and closes the link.
+ *
+ * @returns {Promise} resolved when the link is closed
+ */
 Hexapod.prototype.disconnect = function(){
   clearInterval(this.intervalSender);
   clearInterval(this.intervalSetter);
-  this.currentPacket = new Packet();
-  this.socket.write(this.currentPacket.getBuffer());
-  this.socket.end();
-  this.connected = false;
+  clearTimeout(this.cmdTimer);
+  this.intervalSender = undefined;
+  this.intervalSetter = undefined;
+  this.cmdTimer = undefined;
+  this.currentPacket = this.createPacket();
+  if(this.transport.connected) this.sendPacket(this.currentPacket);
+  var closing = this.transport.close();
+  if(this.connected){
+    this.connected = false;
+    this.emit('disconnected', {ip: this.ip, port: this.port, time: Date.now()});
+  }
   this.robotState = 'idle';
-  this.cmdStack = [];
+  if(this.currentCmd){
+    this.cancelCmd(this.currentCmd);
+    this.currentCmd = undefined;
+  }
+  this.clear();
+  return closing;
 }
 
 /**
@@ -170,49 +352,153 @@ Hexapod.prototype.disconnect = function(){
 Hexapod.prototype.CmdEnum = {
 
   goForward: function(hexapod, cmd){
-    var duration = hexapod.MAX_SPEED * cmd.args[0];
-    hexapod.currentPacket = new Packet({power: 100, duration: duration*50});
-    return duration;
+    return walk(hexapod, 0, cmd.args[0], cmd.args[1]);
   },
 
   goBack: function(hexapod, cmd){
-    var duration = hexapod.MAX_SPEED * cmd.args[0];
-    hexapod.currentPacket = new Packet({power: 100, angle: 180, duration: duration*50});
-    return duration;
+    return walk(hexapod, 180, cmd.args[0], cmd.args[1]);
+  },
+
+  strafe: function(hexapod, cmd){
+    return walk(hexapod, cmd.args[0], cmd.args[1], cmd.args[2]);
   },
 
   turnLeft: function(hexapod, cmd){
-    var duration = hexapod.ROTATION_TIME * cmd.args[0]/360;
-    hexapod.currentPacket = new Packet({rotation: -100, duration: duration*50});
-    return duration;
+    return rotate(hexapod, -cmd.args[0], cmd.args[1]);
   },
 
   turnRight: function(hexapod, cmd){
-    var duration = hexapod.ROTATION_TIME * cmd.args[0]/360;
-    hexapod.currentPacket = new Packet({rotation: 100, duration: duration*50});
+    return rotate(hexapod, cmd.args[0], cmd.args[1]);
+  },
+
+  turn: function(hexapod, cmd){
+    return rotate(hexapod, cmd.args[0], cmd.args[1]);
+  },
+
+  arc: function(hexapod, cmd){
+    var radius = cmd.args[0];
+    var angle  = Math.abs(cmd.args[1]);
+    var speed  = speedOf(hexapod, cmd.args[2]);
+    var packet = hexapod.createPacket({power: speed});
+    var gait   = packet.slidersArray[1];
+    var length = radius * angle * Math.PI/180;
+
+    // turn as fast as needed to cover the angle while walking the length at
+    // the given speed; if the robot can't (or the safety policy doesn't let
+    // it) turn that fast, walk slower
+    var turnRate = angle / hexapod.walkingTime(packet, length);
+    var maxRotation = Math.floor(hexapod.safety.limitSpeed(100));
+    var rotation = Math.min(maxRotation, Math.max(1, Math.round(hexapod.calibration.rotationFor(turnRate, gait))));
+    packet.rotation = cmd.args[1] < 0 ? -rotation : rotation;
+    var duration = hexapod.turningTime(packet, angle);
+    packet.power = Math.min(speed, Math.round(hexapod.calibration.powerFor(length / duration, gait)));
+
+    packet.duration = duration*50;
+    hexapod.currentPacket = packet;
     return duration;
   },
 
   tiltForward: function(hexapod, cmd){
-    hexapod.currentPacket = new Packet({staticTilt: 1, accX: -30, duration: cmd.args[0]*50});
+    hexapod.currentPacket = hexapod.createPacket({staticTilt: 1, accX: -30, duration: cmd.args[0]*50});
     return cmd.args[0];
   },
 
   tiltBack: function(hexapod, cmd){
-    hexapod.currentPacket = new Packet({staticTilt: 1, accX: 30, duration: cmd.args[0]*50});
+    hexapod.currentPacket = hexapod.createPacket({staticTilt: 1, accX: 30, duration: cmd.args[0]*50});
     return cmd.args[0];
   },
 
   tiltLeft: function(hexapod, cmd){
-    hexapod.currentPacket = new Packet({staticTilt: 1, accY: -30, duration: cmd.args[0]*50});
+    hexapod.currentPacket = hexapod.createPacket({staticTilt: 1, accY: -30, duration: cmd.args[0]*50});
     return cmd.args[0];
   },
 
   tiltRight: function(hexapod, cmd){
-    hexapod.currentPacket = new Packet({staticTilt: 1, accY: 30, duration: cmd.args[0]*50});
+    hexapod.currentPacket = hexapod.createPacket({staticTilt: 1, accY: 30, duration: cmd.args[0]*50});
     return cmd.args[0];
   },
 
+  sequence: function(hexapod, cmd){
+    var generate = cmd.args[0];
+    var duration = cmd.args[1];
+    var elapsed  = 0;  //seconds played before the last pause
+    var since    = 0;  //when playing (re)started [ms]
+
+    var sample = function(t){
+      return sequencePacket(hexapod, generate(t));
+    }
+    var update = function(){
+      var t = Math.min(duration, elapsed + (Date.now() - since)/1000);
+      hexapod.currentPacket = sample(t);
+      if(!hexapod.intervalSender) hexapod.sendPacket(hexapod.currentPacket);
+    }
+    var play = function(){
+      since = Date.now();
+      hexapod.currentPacket = sample(elapsed);
+      hexapod.intervalSetter = setInterval(update, 1000 / hexapod.sendRate);
+    }
+    var stop = function(){
+      clearInterval(hexapod.intervalSetter);
+      hexapod.intervalSetter = undefined;
+      elapsed = Math.min(duration, elapsed + (Date.now() - since)/1000);
+    }
+
+    cmd.onPause  = stop;
+    cmd.onResume = play;
+    cmd.cleanup  = stop;
+    cmd.sample   = sample; //packet at the given time, for plan()
+    play();
+    return duration;
+  },
+
+  goTo: function(hexapod, cmd){
+    var options  = cmd.args[2] || {};
+    var pose     = hexapod.getPose();
+    var dx       = cmd.args[0] - pose.x;
+    var dy       = cmd.args[1] - pose.y;
+    var distance = Math.sqrt(dx*dx + dy*dy);
+    var bearing  = Math.atan2(dx, dy) * 180/Math.PI;
+
+    cmd.steps = [];
+    if(distance < MIN_DISTANCE) return;
+    if(options.strafe){
+      cmd.steps.push({name: 'strafe', args: [turnAngle(pose.heading, bearing), distance, options]});
+    } else {
+      var angle = turnAngle(pose.heading, bearing, options.direction);
+      if(Math.abs(angle) >= MIN_ANGLE) cmd.steps.push({name: 'turn', args: [angle, options]});
+      cmd.steps.push({name: 'goForward', args: [distance, options]});
+    }
+  },
+
+  faceHeading: function(hexapod, cmd){
+    var options = cmd.args[1] || {};
+    var angle   = turnAngle(hexapod.getPose().heading, cmd.args[0], options.direction);
+    cmd.steps = Math.abs(angle) >= MIN_ANGLE ? [{name: 'turn', args: [angle, options]}] : [];
+  },
+
+  followPath: function(hexapod, cmd){
+    cmd.steps = cmd.args[0].map(function(point){
+      return {name: 'goTo', args: [point[0], point[1], cmd.args[1]]};
+    });
+  },
+
+  home: function(hexapod, cmd){
+    cmd.steps = [{name: 'goTo', args: [0, 0, cmd.args[0]]},
+                 {name: 'faceHeading', args: [0, cmd.args[0]]}];
+  },
+
+  setStance: function(hexapod, cmd){
+    _.assign(hexapod.stance, cmd.args[0]);
+    hexapod.currentPacket = hexapod.createPacket({duration: cmd.args[1]*50});
+    return cmd.args[1];
+  },
+
+  sendCustom: function(hexapod, cmd){
+    _.assign(hexapod.custom, cmd.args[0]);
+    hexapod.currentPacket = hexapod.createPacket({duration: cmd.args[1]*50});
+    return cmd.args[1];
+  },
+
   sendCustomPacket(hexapod, cmd){
     hexapod.currentPacket = cmd.args[0]; //send a custom packet
     if(cmd.args[0].duration > 0){        //if duration is specified
@@ -224,112 +510,595 @@ Hexapod.prototype.CmdEnum = {
 
   rest: function(hexapod, cmd){
     if(cmd.args[0] > 0){
-      hexapod.currentPacket = new Packet({duration: cmd.args[0]*50});
+      hexapod.currentPacket = hexapod.createPacket({duration: cmd.args[0]*50});
       return cmd.args[0];
     } else {
-      hexapod.currentPacket = new Packet();
+      hexapod.currentPacket = hexapod.createPacket();
       return 0;
     }
   }
 }
 
+/**
+ * @param {Hexapod} hexapod
+ * @param {object} [options] of the movement commands
+ * @returns {number} speed from options.speed [0..100], full speed by default,
+ *                   capped by the safety policy
+ * @throws {RangeError} if the speed is out of range
+ */
+var speedOf = function(hexapod, options){
+  var speed = options && options.speed !== undefined ? options.speed : 100;
+  if(!(speed > 0 && speed <= 100)){
+    throw new RangeError('speed must be in <0..100], got ' + speed);
+  }
+  return hexapod.safety.limitSpeed(speed);
+}
+
+/**
+ * Sets a packet for walking the distance in the direction relative to the
+ * robot's heading.
+ *
+ * @returns {number} duration in seconds
+ */
+var walk = function(hexapod, direction, distance, options){
+  var packet = hexapod.createPacket({power: speedOf(hexapod, options), angle: direction});
+  var duration = hexapod.walkingTime(packet, distance);
+  packet.duration = duration*50;
+  hexapod.currentPacket = packet;
+  return duration;
+}
+
+/**
+ * Sets a packet for turning in place for the angle; positive angles turn
+ * clockwise (right).
+ *
+ * @returns {number} duration in seconds
+ */
+var rotate = function(hexapod, angle, options){
+  var speed  = speedOf(hexapod, options);
+  var packet = hexapod.createPacket({rotation: angle < 0 ? -speed : speed});
+  var duration = hexapod.turningTime(packet, Math.abs(angle));
+  packet.duration = duration*50;
+  hexapod.currentPacket = packet;
+  return duration;
+}
+
+/**
+ * Moves shorter than these are skipped by the navigation commands.
+ */
+var MIN_DISTANCE = 0.005; // meters
+var MIN_ANGLE    = 0.5;   // degrees
+
+/**
+ * @param {number} from [degrees] current heading
+ * @param {number} to [degrees] wanted heading
+ * @param {string} [direction] 'shortest' (default), 'left' or 'right'
+ * @returns {number} [degrees] angle to turn by; positive is clockwise (right)
+ */
+var turnAngle = function(from, to, direction){
+  var angle = ((to - from) % 360 + 360) % 360; // [0..360>, clockwise
+  if(direction === 'right') return angle;
+  if(direction === 'left') return angle === 0 ? 0 : angle - 360;
+  return angle > 180 ? angle - 360 : angle;
+}
+
+/**
+ * Makes a packet out of the values generated by a sequence. Unless the values
+ * say otherwise, the packet lasts for two send periods, so the robot stops
+ * soon after the packets stop coming.
+ */
+var sequencePacket = function(hexapod, values){
+  var packet = hexapod.createPacket(values);
+  if(!(packet.duration > 0)) packet.duration = Math.ceil(2 * 50 / hexapod.sendRate);
+  return hexapod.safety.limitPacket(packet);
+}
+
+/**
+ * Packet parameters which are flags, and can't be interpolated.
+ */
+var FLAGS = ['staticTilt', 'movingTilt', 'onOff'];
+
+/**
+ * Makes a function of time out of keyframes, interpolating the numbers (and
+ * the slidersArray) linearly between the neighbouring keyframes. Flags keep
+ * the value of the previous keyframe.
+ *
+ * @param {object[]} keyframes Packet parameters with 'time' [seconds]
+ * @returns {function}
+ */
+var interpolate = function(keyframes){
+  var frames = _.sortBy(keyframes, 'time');
+  var lerp = function(a, b, k){ return a + (b - a) * k; };
+
+  return function(t){
+    var i = _.findLastIndex(frames, function(frame){ return frame.time <= t; });
+    var a = frames[Math.max(i, 0)];
+    var b = frames[Math.min(i + 1, frames.length - 1)];
+    var k = b.time > a.time ? Math.max(0, Math.min(1, (t - a.time) / (b.time - a.time))) : 0;
+
+    var values = {};
+    _.forEach(a, function(value, name){
+      if(name === 'time') return;
+      if(typeof value === 'number' && typeof b[name] === 'number' && FLAGS.indexOf(name) < 0){
+        values[name] = lerp(value, b[name], k);
+      } else if(Array.isArray(value) && Array.isArray(b[name])){
+        values[name] = value.map(function(v, j){ return lerp(v, b[name][j], k); });
+      } else {
+        values[name] = value;
+      }
+    });
+    return values;
+  }
+}
+
+/**
+ * Every high level function below queues a command and returns a Promise which
+ * is resolved when the command's time on the robot is up, or rejected if the
+ * command is cancelled or its packet could not be delivered. E.g.
+ *
+ *   hexapod.goForward(0.5).then(function(){ return hexapod.turnRight(90); });
+ */
+
+/**
+ * Movement commands take options with the speed of movement:
+ *   speed - [1..100] percent of the full speed; 100 by default
+ */
+
 /**
  * @param {number} distance in meters (> 0)
+ * @param {object} [options] {speed}
+ * @returns {Promise}
  */
-Hexapod.prototype.goForward = function(distance){
-  if(distance > 0) this.pushCmd({name:'goForward', args:[distance]});
-  else log.warn("goForward: argument must be greater than zero!")
+Hexapod.prototype.goForward = function(distance, options){
+  if(distance > 0) return this.pushCmd({name:'goForward', args:[distance, options]});
+  else return rejected('goForward: argument must be greater than zero!');
 }
 
 /**
  * @param {number} distance in meters (> 0)
+ * @param {object} [options] {speed}
+ * @returns {Promise}
  */
-Hexapod.prototype.goBack = function(distance){
-  if(distance > 0) this.pushCmd({name:'goBack', args:[distance]});
-  else log.warn("goForward: argument must be greater than zero!")
+Hexapod.prototype.goBack = function(distance, options){
+  if(distance > 0) return this.pushCmd({name:'goBack', args:[distance, options]});
+  else return rejected('goBack: argument must be greater than zero!');
+}
+
+/**
+ * Walks sideways, or in any other direction, without turning.
+ *
+ * @param {number} direction [-180..180] degrees relative to the robot's
+ *                           heading; 90 -> right; -90 -> left
+ * @param {number} distance in meters (> 0)
+ * @param {object} [options] {speed}
+ * @returns {Promise}
+ */
+Hexapod.prototype.strafe = function(direction, distance, options){
+  if(!(direction >= -180 && direction <= 180)){
+    return rejected('strafe: direction must be in [-180..180]!');
+  }
+  if(distance > 0) return this.pushCmd({name:'strafe', args:[direction, distance, options]});
+  else return rejected('strafe: distance must be greater than zero!');
 }
 
 /**
  * @param {number} angle [degrees]
+ * @param {object} [options] {speed}
+ * @returns {Promise}
  */
-Hexapod.prototype.turnLeft = function(angle){
-  this.pushCmd({name:'turnLeft', args:[angle]});
+Hexapod.prototype.turnLeft = function(angle, options){
+  return this.pushCmd({name:'turnLeft', args:[angle, options]});
 }
 
 /**
  * @param {number} angle [degrees]
+ * @param {object} [options] {speed}
+ * @returns {Promise}
+ */
+Hexapod.prototype.turnRight = function(angle, options){
+  return this.pushCmd({name:'turnRight', args:[angle, options]});
+}
+
+/**
+ * @param {number} angle [degrees] positive -> clockwise (right);
+ *                       negative -> counterclockwise (left)
+ * @param {object} [options] {speed}
+ * @returns {Promise}
+ */
+Hexapod.prototype.turn = function(angle, options){
+  return this.pushCmd({name:'turn', args:[angle, options]});
+}
+
+/**
+ * Walks along a circle while turning, ending up turned by the angle.
+ * If the robot can't turn fast enough for a tight arc, it walks slower.
+ *
+ * @param {number} radius in meters (>= 0)
+ * @param {number} angle [degrees] positive -> curve right; negative -> left
+ * @param {object} [options] {speed}
+ * @returns {Promise}
+ */
+Hexapod.prototype.arc = function(radius, angle, options){
+  if(radius >= 0) return this.pushCmd({name:'arc', args:[radius, angle, options]});
+  else return rejected('arc: radius must not be negative!');
+}
+
+/**
+ * Turns towards the point and walks to it. The way is planned from the
+ * tracked pose (see getPose) when the command's turn comes.
+ *
+ * @param {number} x [meters] see getPose
+ * @param {number} y [meters]
+ * @param {object} [options]
+ * @param {number} [options.speed] [0..100]
+ * @param {string} [options.direction] 'shortest' (default), 'left' or 'right'
+ *        way to turn
+ * @param {boolean} [options.strafe] walk sideways to the point, without
+ *        turning
+ * @returns {Promise}
+ */
+Hexapod.prototype.goTo = function(x, y, options){
+  if(!isNumber(x) || !isNumber(y)){
+    return rejected('goTo: x and y must be numbers!');
+  }
+  return this.pushCmd({name:'goTo', args:[x, y, options]});
+}
+
+/**
+ * Turns in place to face the heading.
+ *
+ * @param {number} heading [degrees] 0 -> along the y axis; 90 -> along the
+ *                         x axis (see getPose)
+ * @param {object} [options] {speed, direction}, see goTo
+ * @returns {Promise}
+ */
+Hexapod.prototype.faceHeading = function(heading, options){
+  if(!isNumber(heading)){
+    return rejected('faceHeading: heading must be a number!');
+  }
+  return this.pushCmd({name:'faceHeading', args:[heading, options]});
+}
+
+/**
+ * Walks through the points, one after another (see goTo).
+ *
+ * @param {Array} points [[x, y], ...] or [{x, y}, ...]
+ * @param {object} [options] {speed, direction, strafe}, see goTo
+ * @returns {Promise}
+ */
+Hexapod.prototype.followPath = function(points, options){
+  points = _.map(points, function(point){
+    return _.isArray(point) ? point : [point && point.x, point && point.y];
+  });
+  var invalid = _.some(points, function(point){ return !isNumber(point[0]) || !isNumber(point[1]); });
+  if(invalid) return rejected('followPath: points must be [x, y] or {x, y} numbers!');
+  return this.pushCmd({name:'followPath', args:[points, options]});
+}
+
+/**
+ * Walks back to the origin and faces the starting heading.
+ *
+ * @param {object} [options] {speed, direction, strafe}, see goTo
+ * @returns {Promise}
  */
-Hexapod.prototype.turnRight = function(angle){
-  this.pushCmd({name:'turnRight', args:[angle]});
+Hexapod.prototype.home = function(options){
+  return this.pushCmd({name:'home', args:[options]});
 }
 
 /**
  * @param {number} duration [seconds]
+ * @returns {Promise}
  */
 Hexapod.prototype.rest = function(duration){
-  if(duration){this.pushCmd({name:'rest', args:[duration]})}
-  else this.pushCmd({name:'rest', args:[0]})
+  if(duration){return this.pushCmd({name:'rest', args:[duration]})}
+  else return this.pushCmd({name:'rest', args:[0]})
 }
 
 /**
  * @param {number} duration [seconds]
+ * @returns {Promise}
  */
 Hexapod.prototype.tiltForward = function(duration){
-  this.pushCmd({name:'tiltForward', args:[duration]});
+  return this.pushCmd({name:'tiltForward', args:[duration]});
 }
 
 /**
  * @param {number} duration [seconds]
+ * @returns {Promise}
  */
 Hexapod.prototype.tiltBack = function(duration){
-  this.pushCmd({name:'tiltBack', args:[duration]});
+  return this.pushCmd({name:'tiltBack', args:[duration]});
 }
 
 /**
  * @param {number} duration [seconds]
+ * @returns {Promise}
  */
 Hexapod.prototype.tiltLeft = function(duration){
-  this.pushCmd({name:'tiltLeft', args:[duration]});
+  return this.pushCmd({name:'tiltLeft', args:[duration]});
 }
 
 /**
  * @param {number} duration [seconds]
+ * @returns {Promise}
  */
 Hexapod.prototype.tiltRight = function(duration){
-  this.pushCmd({name:'tiltRight', args:[duration]});
+  return this.pushCmd({name:'tiltRight', args:[duration]});
+}
+
+/**
+ * Plays a continuous motion: for the duration, a packet is generated and sent
+ * sendRate times a second, over the stream if connect()ed, or on its own
+ * otherwise. Sequence is queued like any other command.
+ *
+ * The motion is given either as a function of time, e.g. wiggling:
+ *
+ *   hexapod.playSequence(function(t){
+ *     return {staticTilt: 1, accY: 30*Math.sin(2*Math.PI*t)};
+ *   }, 10);
+ *
+ * or as keyframes, between which the values are interpolated:
+ *
+ *   hexapod.playSequence([
+ *     {time: 0, power: 0},
+ *     {time: 2, power: 100},
+ *     {time: 4, power: 0}
+ *   ]);
+ *
+ * @param {function|object[]} sequence function of time [seconds] returning
+ *        Packet (parameters), or keyframes: Packet parameters with 'time'
+ * @param {number} [duration] [seconds] time of the last keyframe by default
+ * @returns {Promise}
+ */
+Hexapod.prototype.playSequence = function(sequence, duration){
+  var generate = sequence;
+  if(Array.isArray(sequence)){
+    if(!sequence.length) return rejected('playSequence: no keyframes!');
+    generate = interpolate(sequence);
+    if(duration === undefined) duration = _.maxBy(sequence, 'time').time;
+  }
+  if(typeof generate !== 'function'){
+    return rejected('playSequence: sequence must be a function or keyframes!');
+  }
+  if(!(duration > 0)) return rejected('playSequence: duration must be greater than zero!');
+  return this.pushCmd({name:'sequence', args:[generate, duration]});
+}
+
+/**
+ * Changes the body height and/or gait for all the following commands. The
+ * robot stands still while it adjusts.
+ *
+ * @param {string|object} stance name of a preset from Hexapod.STANCES (e.g.
+ *        'crouch', 'tall', 'tripod', 'wave'), or {height, gait}:
+ *          height - [0..100] body height
+ *          gait   - [0..100] gait
+ * @param {number} [time] [seconds] to stand still while adjusting; 1 by default
+ * @returns {Promise}
+ */
+Hexapod.prototype.setStance = function(stance, time){
+  if(typeof stance === 'string'){
+    if(!Hexapod.STANCES[stance]){
+      return rejected('setStance: unknown stance \'' + stance + '\'; expected one of: ' +
+                      Object.keys(Hexapod.STANCES).join(', '));
+    }
+    stance = Hexapod.STANCES[stance];
+  }
+  stance = _.pick(stance, ['height', 'gait']);
+  for(var name in stance){
+    if(!(stance[name] >= 0 && stance[name] <= 100)){
+      return rejected('setStance: ' + name + ' must be in [0..100]!');
+    }
+  }
+  return this.pushCmd({name:'setStance', args:[stance, time === undefined ? 1 : time]});
+}
+
+/**
+ * @param {number} percent [0..100] body height
+ * @param {number} [time] [seconds] see setStance
+ * @returns {Promise}
+ */
+Hexapod.prototype.setHeight = function(percent, time){
+  return this.setStance({height: percent}, time);
+}
+
+/**
+ * @param {number} percent [0..100] gait
+ * @param {number} [time] [seconds] see setStance
+ * @returns {Promise}
+ */
+Hexapod.prototype.setGait = function(percent, time){
+  return this.setStance({gait: percent}, time);
+}
+
+/**
+ * @returns {object} {height, gait} the robot has, or will have once the
+ *                   running setStance command is done
+ */
+Hexapod.prototype.getStance = function(){
+  return _.clone(this.stance);
+}
+
+/**
+ * Sets fields of the user defined bytes (slidersArray[2..8]), as declared by
+ * options.customData, and sends them to the robot. Like the stance, the values
+ * are kept for all the following commands; fields which were never set have
+ * their defaults.
+ *
+ *   hexapod.sendCustom({led: 'red', servoAngle: 40});
+ *
+ * @param {object} values {field: value}
+ * @param {number} [time] [seconds] to rest with the new values before the next
+ *        command; 0 by default
+ * @returns {Promise}
+ */
+Hexapod.prototype.sendCustom = function(values, time){
+  if(!this.customData){
+    return rejected('sendCustom: no customData schema; see options.customData');
+  }
+  try {
+    this.customData.encode(values);
+  } catch(error) {
+    return rejected('sendCustom: ' + error.message);
+  }
+  return this.pushCmd({name:'sendCustom', args:[_.clone(values), time || 0]});
 }
 
 /**
  * @param {Packet} packet
+ * @returns {Promise}
  */
 Hexapod.prototype.sendCustomPacket = function(packet){
-  this.pushCmd({name:'sendCustomPacket', args:[packet]});
+  return this.pushCmd({name:'sendCustomPacket', args:[packet]});
+}
+
+/**
+ * Works out what commands would do, without moving the robot. The commands
+ * are queued on a planning copy of the hexapod, which has the same
+ * calibration, stance, custom data, pose and safety limits as this one (the
+ * runtime it counts is its own), but sends nothing and doesn't wait; the
+ * packets and durations are the ones processCmd would produce.
+ *
+ *   var timeline = hexapod.plan(function(h){
+ *     h.goForward(0.5);
+ *     h.turnRight(90);
+ *   });
+ *   console.log(timeline.totalTime, timeline.endPose);
+ *
+ * @param {function} [program] called with the planning hexapod, to queue the
+ *        commands on it; without it, the commands waiting in this hexapod's
+ *        queue are planned
+ * @returns {object} timeline:
+ *   steps     - {name, args, id, parent, packet, start, duration} for every
+ *               command; navigation commands are shown as their steps, with
+ *               the command's name in parent. Times are in seconds
+ *   packets   - {time, packet} for every packet which would be sent
+ *   errors    - {name, args, id, error} for the commands which would fail
+ *   totalTime - [seconds] until the robot is done
+ *   endPose   - {x, y, heading} where the robot would end up (see getPose)
+ *   path      - {x, y, heading, time} points it would go through
+ */
+Hexapod.prototype.plan = function(program){
+  var epsilon  = 0.1;
+  var time     = 0;  //[ms] since the start of the plan
+  var timeline = {steps: [], packets: [], errors: []};
+  var planner  = new Hexapod(this.ip, this.port, {
+    transport: 'dry-run',
+    sendRate: this.sendRate,
+    calibration: this.calibration,
+    stance: this.stance,
+    customData: this.customData,
+    safety: this.safety.clone(),
+    odometry: {clock: function(){ return time; }}
+  });
+  planner.custom = _.clone(this.custom);
+  planner.odometry.reset(this.getPose());
+  planner.robotState = 'paused'; //commands are only queued
+
+  if(program){
+    program(planner);
+  } else {
+    planner.cmdStack = this.cmdStack.map(function(cmd){
+      return _.assign(_.clone(cmd), {resolve: _.noop, reject: _.noop});
+    });
+  }
+
+  var send = function(packet){
+    packet = Packet.normalize(packet);
+    timeline.packets.push({time: time/1000, packet: packet});
+    planner.odometry.receive(packet);
+  }
+
+  while(planner.cmdStack.length){
+    var cmd = planner.cmdStack.shift();
+    var start = time;
+    var duration;
+    try {
+      duration = planner.prepareCmd(cmd);
+    } catch(error) {
+      timeline.errors.push({name: cmd.name, args: cmd.args, id: cmd.id, error: error});
+      cmd.reject(error);
+      continue;
+    }
+    if(cmd.steps) continue;
+
+    send(planner.currentPacket);
+    if(cmd.sample){ // sequences change the packet at sendRate until they end
+      cmd.cleanup();
+      for(var t = 1/planner.sendRate; t < duration + epsilon; t += 1/planner.sendRate){
+        time = start + t*1000;
+        send(cmd.sample(Math.min(duration, t)));
+      }
+    }
+    timeline.steps.push({
+      name: cmd.name, args: cmd.args, id: cmd.id, parent: cmd.parent && cmd.parent.name,
+      packet: cmd.sample ? cmd.sample(0) : planner.currentPacket, start: start/1000, duration: duration
+    });
+    time = start + (duration >= 0 ? duration + epsilon : 0)*1000;
+    cmd.resolve();
+  }
+  send(planner.createPacket()); //robot rests when the queue is empty
+
+  timeline.totalTime = time/1000;
+  timeline.endPose = planner.getPose();
+  timeline.path = planner.getPath();
+  return timeline;
 }
 
 /**
  * Pushes command to the stack and tries to run it.
+ *
+ * @returns {Promise} settled when the command is done (see processCmd)
  */
 Hexapod.prototype.pushCmd = function(cmd){
+  var promise = new Promise(function(resolve, reject){
+    cmd.resolve = resolve;
+    cmd.reject  = reject;
+  });
+  // scripts which don't wait for the result shouldn't crash on a failed command
+  promise.catch(function(error){ log.warn(error.message); });
+  cmd.id = promise.id = ++this.lastCmdId;
+
   log.debug('Pushed ' + JSON.stringify(cmd));
   this.cmdStack.push(cmd);
   this.runStack();
+  return promise;
+}
+
+/**
+ * Sends a packet over the transport chosen in the constructor, normalized to
+ * what the frame holds (see Packet.normalize).
+ *
+ * @param {Packet} packet
+ * @returns {Promise} resolved when the packet is delivered
+ */
+Hexapod.prototype.sendPacket = function(packet){
+  var self = this;
+  packet = Packet.normalize(packet);
+  var sending = self.transport.send(packet);
+  sending.then(function(){
+    self.odometry.receive(packet);
+    self.emit('packetSent', {packet: packet, transport: self.transport.name, time: Date.now()});
+  }, function(error){
+    self.emit('transportError', {
+      error: error, packet: packet, transport: self.transport.name, time: Date.now()
+    });
+  });
+  return sending;
 }
 
 /**
- * Send a packet as a Base64 string via HTTP.
+ * @deprecated use sendPacket(), which this calls; the packet goes over the
+ *             configured transport, which is HTTP by default.
+ *
+ * @param {Packet} packet
+ * @param {function} [callback] called with an Error if the packet isn't sent
  */
-Hexapod.prototype.sendPacketHTTP = function(packet){
-    packetB64 = packet.getBuffer().toString('base64')
-    url = 'http://' + this.ip + ':' + this.port + '/send?raw=' + packetB64;
-    options = {
-      hostname: this.ip,
-      port: this.port,
-      path: '/send?raw=' + packetB64,
-      agent: false
-    }
-    http.get(options, function (response){ log.debug('GET ' + url) }).on('error',
-      function (error){ log.debug('HTTP error: ' + error.message) }
-    );
+Hexapod.prototype.sendPacketHTTP = function(packet, callback){
+  this.sendPacket(packet).then(function(){
+    if(callback) callback();
+  }, function(error){
+    if(callback) callback(error);
+  });
 }
 
 /**
@@ -340,14 +1109,14 @@ Hexapod.prototype.runStack = function(){
   if(this.robotState === 'idle' && this.cmdStack.length > 0){
     log.debug('RUN STACK !');
     this.robotState = 'running';
-    this.processCmd(this.cmdStack[0]);
-    this.cmdStack.shift();
+    this.processCmd(this.cmdStack.shift());
   }
 }
 
 /**
  * Takes command from the bottom of the stack, one by one, and sends Packets
- * to the robot, one by one.
+ * to the robot, one by one. The command's promise is resolved when its timer
+ * expires, or rejected if its packet can't be sent.
  */
 Hexapod.prototype.processCmd = function(cmd){
   var duration = 0;
@@ -355,32 +1124,285 @@ Hexapod.prototype.processCmd = function(cmd){
   var self     = this;
   log.debug(cmd);
 
-  var duration = self.CmdEnum[cmd.name](self, cmd);
+  self.currentCmd = cmd;
+  try {
+    duration = self.prepareCmd(cmd);
+  } catch(error) {
+    self.currentCmd = undefined;
+    if(error.rule){
+      self.emit('safetyViolation', {cmd: cmd, rule: error.rule, error: error, time: Date.now()});
+    }
+    cmd.reject(error);
+    self.nextCmd();
+    return;
+  }
+  if(cmd.steps){
+    self.currentCmd = undefined;
+    self.nextCmd();
+    return;
+  }
+  cmd.packet    = self.currentPacket;
+  cmd.duration  = duration;
+  cmd.startTime = Date.now();
+  self.emit('commandStart', {
+    cmd: cmd, packet: cmd.packet, duration: duration, startTime: cmd.startTime
+  });
 
   if(duration >= 0){
-    setTimeout(function(){
-      log.debug(cmd + ': Timeout !');
+    self.startCmdTimer(cmd, duration + epsilon);
+  }
 
-      if(self.intervalSetter){              //if previous cmd was a sequence
-        clearInterval(self.intervalSetter); //stop setting the currentPacket
-        self.disconnect();                  //sever TCP connection
-      }
+  self.sendPacket(cmd.packet).catch(function(error){ cmd.reject(error); });
+}
 
-      if(self.cmdStack.length === 0){
-        log.debug('Done with the stack!');
-        self.currentPacket = new Packet();
-        self.sendPacketHTTP(self.currentPacket);
-        self.robotState = 'idle';
-      } else {
-        log.debug('Next command !');
-        self.processCmd(self.cmdStack[0]);
-        self.cmdStack.shift();
-      }
-    }, (duration + epsilon)*1000);
+/**
+ * Runs the command's handler, which sets currentPacket, and checks the packet
+ * and the command against the safety policy. Packets which last longer than
+ * the duration field can hold are split into several (see expandCmd).
+ *
+ * @returns {number} duration of the command in seconds; undefined if the
+ *                   command was expanded into steps
+ * @throws {Error} if the command can't be done
+ */
+Hexapod.prototype.prepareCmd = function(cmd){
+  try {
+    var duration = this.CmdEnum[cmd.name](this, cmd);
+    if(cmd.steps){
+      this.expandCmd(cmd);
+      return undefined;
+    }
+    this.currentPacket = this.safety.limitPacket(this.currentPacket);
+    if(!(cmd.parent && cmd.parent.split)) this.safety.check(this, cmd, duration);
+  } catch(error) {
+    if(cmd.cleanup) cmd.cleanup();
+    throw error;
+  }
+
+  var maxDuration = Packet.RANGES.duration[1];
+  if(this.currentPacket.duration > maxDuration && !cmd.sample){
+    var parts = Math.ceil(this.currentPacket.duration / maxDuration);
+    var part  = new Packet(this.currentPacket);
+    part.duration = this.currentPacket.duration / parts;
+    cmd.split = true;
+    cmd.steps = _.times(parts, function(){
+      return {name: 'sendCustomPacket', args: [part]};
+    });
+    log.debug(cmd.name + ': ' + duration + ' s is too long for one packet');
+    this.expandCmd(cmd);
+    return undefined;
+  }
+  Packet.validate(this.currentPacket);
+  return duration;
+}
+
+/**
+ * Navigation commands decide what to do only when their turn comes, since
+ * it depends on where the robot is then. Their handlers fill cmd.steps with
+ * other commands ({name, args}), which are put in front of the stack in
+ * their place. The steps keep the command's id, so they can be cancelled
+ * together, and the command's promise is resolved when the last of them is
+ * done.
+ */
+Hexapod.prototype.expandCmd = function(cmd){
+  var steps = cmd.steps.map(function(step, i, all){
+    return {
+      name: step.name, args: step.args, id: cmd.id, parent: cmd,
+      resolve: i === all.length - 1 ? cmd.resolve : function(){},
+      reject: cmd.reject
+    };
+  });
+  log.debug(cmd.name + ' expanded into ' + steps.length + ' steps');
+
+  if(!steps.length) cmd.resolve();
+  Array.prototype.unshift.apply(this.cmdStack, steps);
+}
+
+/**
+ * Schedules the end of the current command. Deadline is remembered so that
+ * pause() knows how much of the command is left.
+ */
+Hexapod.prototype.startCmdTimer = function(cmd, seconds){
+  var self = this;
+  self.cmdDeadline = Date.now() + seconds*1000;
+  self.cmdTimer = setTimeout(function(){
+    log.debug(cmd + ': Timeout !');
+    self.cmdTimer = undefined;
+    self.currentCmd = undefined;
+    if(cmd.cleanup) cmd.cleanup();
+    self.emit('commandEnd', {
+      cmd: cmd, packet: cmd.packet, duration: cmd.duration,
+      startTime: cmd.startTime, endTime: Date.now()
+    });
+    cmd.resolve();
+    self.nextCmd();
+  }, seconds*1000);
+}
+
+/**
+ * Processes the next command on the stack, or puts the robot to rest if there
+ * is nothing left to do.
+ */
+Hexapod.prototype.nextCmd = function(){
+  if(this.cmdStack.length === 0){
+    log.debug('Done with the stack!');
+    this.currentPacket = this.createPacket();
+    this.sendPacket(this.currentPacket);
+    this.robotState = 'idle';
+    this.emit('queueEmpty', {time: Date.now()});
+  } else {
+    log.debug('Next command !');
+    this.processCmd(this.cmdStack.shift());
   }
+}
 
-  self.sendPacketHTTP(self.currentPacket);
+/**
+ * Stops the robot, but keeps the current command and the rest of the stack.
+ * The robot is put to rest until resume() is called. If nothing is running,
+ * queued commands won't start until resume().
+ *
+ * @returns {boolean} false if the robot is already paused
+ */
+Hexapod.prototype.pause = function(){
+  if(this.robotState === 'paused') return false;
+
+  var cmd = this.currentCmd;
+  if(cmd && this.cmdTimer){
+    clearTimeout(this.cmdTimer);
+    this.cmdTimer = undefined;
+    cmd.remaining = Math.max(0, this.cmdDeadline - Date.now()) / 1000;
+    if(cmd.onPause) cmd.onPause();
+    this.currentPacket = this.createPacket();
+    this.sendPacket(this.currentPacket);
+  }
+
+  this.robotState = 'paused';
+  this.emit('paused', {
+    cmd: cmd, remaining: cmd ? cmd.remaining : 0, time: Date.now()
+  });
+  return true;
+}
+
+/**
+ * Continues where pause() left off. The current command's packet is sent
+ * again, with the duration shortened to what was remaining when paused
+ * (sequences carry on playing from where they stopped).
+ *
+ * @returns {boolean} false if the robot wasn't paused
+ */
+Hexapod.prototype.resume = function(){
+  if(this.robotState !== 'paused') return false;
+
+  var cmd = this.currentCmd;
+  this.emit('resumed', {
+    cmd: cmd, remaining: cmd ? cmd.remaining : 0, time: Date.now()
+  });
+
+  if(cmd){
+    var epsilon = 0.1;
+    var parameters = _.clone(cmd.packet);
+    if(parameters.duration > 0){
+      parameters.duration = Math.round(Math.max(0, cmd.remaining - epsilon) * 50);
+    }
+    this.robotState = 'running';
+    this.currentPacket = new Packet(parameters);
+    if(cmd.onResume) cmd.onResume();
+    this.startCmdTimer(cmd, cmd.remaining);
+    this.sendPacket(this.currentPacket).catch(function(error){ cmd.reject(error); });
+  } else {
+    this.robotState = 'idle';
+    this.runStack();
+  }
+  return true;
+}
+
+/**
+ * Cancels a command, whether it's waiting on the stack or currently running
+ * (for navigation commands, all of their steps). Its promise is rejected.
+ * Cancelling the running command moves on to the next one (unless paused).
+ *
+ * @param {number} id of the command (the promise returned by the high level
+ *                    functions has it as the 'id' property)
+ * @returns {boolean} false if there is no such command
+ */
+Hexapod.prototype.cancel = function(id){
+  var cmd = this.currentCmd;
+
+  var waiting = _.remove(this.cmdStack, {id: id}); //including the steps of a command
+  waiting.forEach(this.cancelCmd, this);
+
+  if(cmd && cmd.id === id){
+    clearTimeout(this.cmdTimer);
+    this.cmdTimer = undefined;
+    this.currentCmd = undefined;
+    this.cancelCmd(cmd);
+    if(this.robotState === 'paused') return true;
+    this.nextCmd();
+    return true;
+  }
+  return waiting.length > 0;
+}
+
+/**
+ * Cancels all the commands waiting on the stack. The current command is left
+ * to finish.
+ *
+ * @returns {number} number of cancelled commands
+ */
+Hexapod.prototype.clear = function(){
+  var cmds = this.cmdStack;
+  this.cmdStack = [];
+  cmds.forEach(this.cancelCmd, this);
+  return cmds.length;
+}
+
+/**
+ * Immediately stops the robot: drops the command timers (including a running
+ * sequence), cancels all commands and sends a packet with zero power. The
+ * streaming link, if connected, is kept alive and keeps sending the resting
+ * packet.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.sleep] put the robot to sleep (onOff = 0) instead
+ *                                  of leaving it standing
+ */
+Hexapod.prototype.emergencyStop = function(options){
+  var sleep = !!(options && options.sleep);
+  var cmd = this.currentCmd;
+
+  clearTimeout(this.cmdTimer);
+  clearInterval(this.intervalSetter);
+  this.cmdTimer = undefined;
+  this.intervalSetter = undefined;
+  this.currentCmd = undefined;
+
+  this.currentPacket = this.createPacket({onOff: sleep ? 0 : 1});
+  this.sendPacket(this.currentPacket);
+
+  if(cmd) this.cancelCmd(cmd);
+  this.clear();
+  this.robotState = 'idle';
+  this.emit('emergencyStop', {sleep: sleep, time: Date.now()});
+}
+
+Hexapod.prototype.cancelCmd = function(cmd){
+  if(cmd.cleanup) cmd.cleanup();
+  cmd.reject(new Error(cmd.name + ': cancelled'));
+  this.emit('commandCancelled', {cmd: cmd, time: Date.now()});
+}
+
+var isNumber = function(value){
+  return typeof value === 'number' && isFinite(value);
+}
+
+/**
+ * Returns an already rejected promise for commands with invalid arguments.
+ */
+var rejected = function(message){
+  var promise = Promise.reject(new Error(message));
+  promise.catch(function(error){ log.warn(error.message); });
+  return promise;
 }
 
 exports.Hexapod = Hexapod;
 exports.Packet  = Packet;
+exports.CustomData = CustomData;
@@ -1 +1,15 @@
-module.exports = require('./hexapod.js').Hexapod;
+var hexapod      = require('./hexapod.js');
+var Teleop       = require('./teleop.js');
+var Fleet        = require('./fleet.js');
+var Telemetry    = require('./telemetry.js');
+var SafetyPolicy = require('./safety.js');
+var discovery    = require('./discovery.js');
+
+module.exports              = hexapod.Hexapod;
+module.exports.Packet       = hexapod.Packet;
+module.exports.CustomData   = hexapod.CustomData;
+module.exports.Teleop       = Teleop;
+module.exports.Fleet        = Fleet;
+module.exports.Telemetry    = Telemetry;
+module.exports.SafetyPolicy = SafetyPolicy;
+module.exports.discovery    = discovery;
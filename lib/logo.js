@@ -0,0 +1,477 @@
+/**
+ * Interpreter of a small LOGO dialect, which drives the hexapod like the
+ * LOGO turtle. Programs are parsed and evaluated at once into a list of
+ * Hexapod commands, which are then put into the hexapod's command queue, so
+ * pause(), clear() etc. work as usual.
+ *
+ *   FD n, FORWARD n  - walk forward n steps (1 step = 1 cm by default)
+ *   BK n, BACK n     - walk back n steps
+ *   LT n, LEFT n     - turn left n degrees
+ *   RT n, RIGHT n    - turn right n degrees
+ *   REST n           - rest for n seconds
+ *   HEIGHT n         - set body height to n [0..100] (see Hexapod.setHeight)
+ *   TILT "dir n      - tilt the body "forward, "back, "left or "right for
+ *                      n seconds
+ *   REPEAT n [ ... ] - repeat the commands in brackets n times
+ *   IF cond [ ... ]  - run the commands if the condition holds
+ *   MAKE "name value - set variable :name
+ *   TO name :a :b ... END - define a procedure with inputs :a, :b...
+ *
+ * Values are numbers, variables (:name), quoted words ("left) and
+ * expressions using + - * / ( ) and comparisons < > =. Everything is case
+ * insensitive and ';' starts a comment. Example:
+ *
+ *   TO square :size
+ *     REPEAT 4 [FD :size RT 90]
+ *   END
+ *   MAKE "side 30
+ *   square :side * 2
+ *
+ * Mistakes are reported with SyntaxError (when parsing) or Error (when
+ * evaluating, e.g. a variable without a value or HEIGHT 150), before the
+ * robot moves. FD 0 and BK 0 are left out, rather than failing. The
+ * message says where the mistake is, and error.line and error.column hold
+ * the position too. If the program just isn't finished yet (TO without END,
+ * '[' without ']'), the SyntaxError has error.incomplete set, which lets
+ * a REPL ask for more lines.
+ */
+
+var _ = require('lodash');
+
+var TILTS = {forward: 'tiltForward', back: 'tiltBack', left: 'tiltLeft', right: 'tiltRight'};
+
+/**
+ * Primitive commands and the number of their inputs. REPEAT and IF take one
+ * input and a block in brackets.
+ */
+var PRIMITIVES = {
+  fd: 1, forward: 1, bk: 1, back: 1, lt: 1, left: 1, rt: 1, right: 1,
+  rest: 1, height: 1, tilt: 2, make: 2, repeat: 1, if: 1
+}
+
+/**
+ * @param {Hexapod} hexapod robot to run the programs on
+ * @param {object} [options]
+ * @param {number} [options.stepLength] [meters] distance of FD 1; 0.01 by
+ *                                      default
+ * @param {number} [options.maxCommands] limit on the number of commands one
+ *                                       program may produce; 10000 by default
+ * @param {number} [options.maxDepth] limit on nested procedure calls; 1000 by
+ *                                    default
+ */
+var Logo = function(hexapod, options){
+  options = options || {};
+  this.hexapod = hexapod;
+  this.stepLength = options.stepLength || 0.01;
+  this.maxCommands = options.maxCommands || 10000;
+  this.maxDepth = options.maxDepth || 1000;
+  this.procedures = {}; //kept from one program to the next, like the variables
+  this.variables = {};
+}
+
+/**
+ * Parses and evaluates the program and puts its commands into the hexapod's
+ * queue.
+ *
+ * @param {string} source
+ * @returns {Promise} resolved when all the commands are done; rejected with
+ *          SyntaxError or Error if the program has a mistake (nothing is
+ *          queued then), or if a command fails or is cancelled
+ */
+Logo.prototype.run = function(source){
+  var hexapod = this.hexapod;
+  var commands;
+  try {
+    commands = this.compile(source);
+  } catch(error) {
+    return Promise.reject(error);
+  }
+  return Promise.all(commands.map(function(command){
+    return hexapod[command.method].apply(hexapod, command.args);
+  }));
+}
+
+/**
+ * Parses and evaluates the program without running it. Procedures the
+ * program defines, and variables it sets, are kept for later programs, unless
+ * the program has a mistake.
+ *
+ * @param {string} source
+ * @returns {object[]} {method, args, line, column}; method is the name of the
+ *          Hexapod method to call with args, line and column locate the LOGO
+ *          command which produced it
+ * @throws {SyntaxError|Error} if the program has a mistake
+ */
+Logo.prototype.compile = function(source){
+  var program = this.parse(source);
+  var context = {
+    commands: [],
+    procedures: _.assign({}, this.procedures, program.procedures),
+    frames: [_.clone(this.variables)],
+    depth: 0
+  };
+  this.execute(program.statements, context);
+
+  this.procedures = context.procedures;
+  this.variables = context.frames[0];
+  return context.commands;
+}
+
+/**
+ * @param {string} source
+ * @returns {object} {procedures, statements}, the syntax tree
+ * @throws {SyntaxError}
+ */
+Logo.prototype.parse = function(source){
+  var tokens = tokenize(String(source));
+  var arities = _.mapValues(this.procedures, function(procedure){ return procedure.params.length; });
+  _.assign(arities, declaredArities(tokens));
+  return new Parser(tokens, arities).parseProgram();
+}
+
+/**
+ * Splits the source into tokens: {type, value, text, line, column}; type is
+ * 'number', 'word', 'variable', 'quoted', 'symbol' or 'eof'.
+ */
+var tokenize = function(source){
+  var tokens = [];
+  var pattern = /(\s+)|(;[^\n]*)|(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_][\w.?]*)|:([A-Za-z_][\w.?]*)|"([A-Za-z_][\w.?]*)|([\[\]()+\-*\/<>=])|(.)/g;
+  var line = 1, lineStart = 0;
+  var match;
+
+  while((match = pattern.exec(source))){
+    var token = {text: match[0], line: line, column: match.index - lineStart + 1};
+    if(match[1] || match[2]){
+      var newlines = match[0].split('\n');
+      if(newlines.length > 1){
+        line += newlines.length - 1;
+        lineStart = match.index + match[0].lastIndexOf('\n') + 1;
+      }
+      continue;
+    }
+    if(match[3]) { token.type = 'number';   token.value = parseFloat(match[3]); }
+    if(match[4]) { token.type = 'word';     token.value = match[4].toLowerCase(); }
+    if(match[5]) { token.type = 'variable'; token.value = match[5].toLowerCase(); }
+    if(match[6]) { token.type = 'quoted';   token.value = match[6].toLowerCase(); }
+    if(match[7]) { token.type = 'symbol';   token.value = match[7]; }
+    if(match[8]) throw logoError(SyntaxError, token, 'unexpected character \'' + match[8] + '\'');
+    tokens.push(token);
+  }
+  tokens.push({type: 'eof', text: 'end of program', line: line, column: source.length - lineStart + 1});
+  return tokens;
+}
+
+/**
+ * Finds the procedures defined with TO and the number of their inputs, so
+ * that calls can be parsed before the definition.
+ */
+var declaredArities = function(tokens){
+  var arities = {};
+  tokens.forEach(function(token, i){
+    if(token.type === 'word' && token.value === 'to' && tokens[i + 1].type === 'word'){
+      var count = 0;
+      while(tokens[i + 2 + count].type === 'variable') count++;
+      arities[tokens[i + 1].value] = count;
+    }
+  });
+  return arities;
+}
+
+var logoError = function(Type, token, message){
+  var error = new Type('LOGO: line ' + token.line + ', column ' + token.column + ': ' + message);
+  error.line = token.line;
+  error.column = token.column;
+  return error;
+}
+
+var incomplete = function(error){
+  error.incomplete = true;
+  return error;
+}
+
+var Parser = function(tokens, arities){
+  this.tokens = tokens;
+  this.arities = arities;
+  this.position = 0;
+}
+
+Parser.prototype.peek = function(){
+  return this.tokens[this.position];
+}
+
+Parser.prototype.next = function(){
+  return this.tokens[this.position++];
+}
+
+Parser.prototype.isSymbol = function(token, symbol){
+  return token.type === 'symbol' && token.value === symbol;
+}
+
+Parser.prototype.expectSymbol = function(symbol){
+  var token = this.next();
+  if(!this.isSymbol(token, symbol)){
+    throw logoError(SyntaxError, token, 'expected \'' + symbol + '\', got \'' + token.text + '\'');
+  }
+  return token;
+}
+
+Parser.prototype.parseProgram = function(){
+  var procedures = {};
+  var statements = [];
+
+  while(this.peek().type !== 'eof'){
+    var token = this.peek();
+    if(token.type === 'word' && token.value === 'to'){
+      var procedure = this.parseProcedure();
+      procedures[procedure.name] = procedure;
+    } else {
+      statements.push(this.parseStatement());
+    }
+  }
+  return {procedures: procedures, statements: statements};
+}
+
+Parser.prototype.parseProcedure = function(){
+  var to = this.next();
+  var name = this.next();
+  if(name.type !== 'word'){
+    throw logoError(SyntaxError, name, 'TO needs a procedure name, got \'' + name.text + '\'');
+  }
+  if(PRIMITIVES[name.value] !== undefined || name.value === 'to' || name.value === 'end'){
+    throw logoError(SyntaxError, name, name.text + ' is already a primitive');
+  }
+
+  var params = [];
+  while(this.peek().type === 'variable') params.push(this.next().value);
+
+  var body = [];
+  while(!(this.peek().type === 'word' && this.peek().value === 'end')){
+    if(this.peek().type === 'eof'){
+      throw incomplete(logoError(SyntaxError, to, 'TO ' + name.text + ' without END'));
+    }
+    body.push(this.parseStatement());
+  }
+  this.next();
+  return {name: name.value, params: params, body: body, line: to.line, column: to.column};
+}
+
+/**
+ * @returns {object} {name, args, body, line, column}; body only for REPEAT
+ *                   and IF
+ */
+Parser.prototype.parseStatement = function(){
+  var token = this.next();
+  if(token.type !== 'word'){
+    throw logoError(SyntaxError, token, 'expected a command, got \'' + token.text + '\'');
+  }
+  if(token.value === 'to'){
+    throw logoError(SyntaxError, token, 'TO is only allowed at the top level');
+  }
+  if(token.value === 'end'){
+    throw logoError(SyntaxError, token, 'END without TO');
+  }
+
+  var arity = PRIMITIVES[token.value] !== undefined ? PRIMITIVES[token.value] : this.arities[token.value];
+  if(arity === undefined){
+    throw logoError(SyntaxError, token, 'I don\'t know how to ' + token.text);
+  }
+
+  var statement = {name: token.value, text: token.text, args: [], line: token.line, column: token.column};
+  for(var i = 0; i < arity; i++){
+    if(this.peek().type === 'eof' || this.isSymbol(this.peek(), ']')){
+      throw logoError(SyntaxError, this.peek(), token.text + ' needs ' + arity +
+                      (arity === 1 ? ' input' : ' inputs'));
+    }
+    statement.args.push(this.parseExpression());
+  }
+
+  if(token.value === 'repeat' || token.value === 'if'){
+    this.expectSymbol('[');
+    statement.body = [];
+    while(!this.isSymbol(this.peek(), ']')){
+      if(this.peek().type === 'eof'){
+        throw incomplete(logoError(SyntaxError, token, token.text + ' block without \']\''));
+      }
+      statement.body.push(this.parseStatement());
+    }
+    this.next();
+  }
+  return statement;
+}
+
+/**
+ * Expressions are parsed by precedence: comparison, then + -, then * /.
+ * Nodes are {op, args, line, column}, {value} or {variable}.
+ */
+Parser.prototype.parseExpression = function(){
+  var left = this.parseSum();
+  var token = this.peek();
+  if(token.type === 'symbol' && '<>='.indexOf(token.value) >= 0){
+    this.next();
+    left = {op: token.value, args: [left, this.parseSum()], line: token.line, column: token.column};
+  }
+  return left;
+}
+
+Parser.prototype.parseSum = function(){
+  var left = this.parseProduct();
+  var token;
+  while((token = this.peek()).type === 'symbol' && (token.value === '+' || token.value === '-')){
+    this.next();
+    left = {op: token.value, args: [left, this.parseProduct()], line: token.line, column: token.column};
+  }
+  return left;
+}
+
+Parser.prototype.parseProduct = function(){
+  var left = this.parseUnary();
+  var token;
+  while((token = this.peek()).type === 'symbol' && (token.value === '*' || token.value === '/')){
+    this.next();
+    left = {op: token.value, args: [left, this.parseUnary()], line: token.line, column: token.column};
+  }
+  return left;
+}
+
+Parser.prototype.parseUnary = function(){
+  var token = this.next();
+  switch(token.type){
+    case 'number':
+    case 'quoted':
+      return {value: token.value, line: token.line, column: token.column};
+    case 'variable':
+      return {variable: token.value, text: token.text, line: token.line, column: token.column};
+    case 'symbol':
+      if(token.value === '-'){
+        return {op: 'neg', args: [this.parseUnary()], line: token.line, column: token.column};
+      }
+      if(token.value === '('){
+        var expression = this.parseExpression();
+        this.expectSymbol(')');
+        return expression;
+      }
+  }
+  throw logoError(SyntaxError, token, 'expected a value, got \'' + token.text + '\'');
+}
+
+/**
+ * Evaluates the statements, appending the commands they produce to
+ * context.commands.
+ */
+Logo.prototype.execute = function(statements, context){
+  statements.forEach(function(statement){
+    var args = statement.args.map(function(arg){ return this.evaluate(arg, context); }, this);
+    var command = function(method, value){
+      if(context.commands.length >= this.maxCommands){
+        throw logoError(RangeError, statement, 'program makes more than ' + this.maxCommands + ' commands');
+      }
+      context.commands.push({method: method, args: [value], line: statement.line, column: statement.column});
+    }.bind(this);
+
+    switch(statement.name){
+      case 'fd': case 'forward':
+        if(number(statement, args[0]) === 0) return; //e.g. FD :n of a spiral starting at 0
+        return command(args[0] < 0 ? 'goBack' : 'goForward', Math.abs(args[0]) * this.stepLength);
+      case 'bk': case 'back':
+        if(number(statement, args[0]) === 0) return;
+        return command(args[0] < 0 ? 'goForward' : 'goBack', Math.abs(args[0]) * this.stepLength);
+      case 'lt': case 'left':
+        return command(number(statement, args[0]) < 0 ? 'turnRight' : 'turnLeft', Math.abs(args[0]));
+      case 'rt': case 'right':
+        return command(number(statement, args[0]) < 0 ? 'turnLeft' : 'turnRight', Math.abs(args[0]));
+      case 'rest':
+        return command('rest', range(statement, args[0], 0, Infinity));
+      case 'height':
+        return command('setHeight', range(statement, args[0], 0, 100));
+      case 'tilt':
+        if(!TILTS[args[0]]){
+          throw logoError(Error, statement, 'TILT direction must be one of: "' +
+                          Object.keys(TILTS).join(', "') + '; got ' + args[0]);
+        }
+        return command(TILTS[args[0]], range(statement, args[1], 0, Infinity));
+      case 'make':
+        if(typeof args[0] !== 'string'){
+          throw logoError(Error, statement, 'MAKE needs a quoted name, e.g. MAKE "size 10');
+        }
+        var frame = _.findLast(context.frames, function(frame){ return _.has(frame, args[0]); });
+        (frame || context.frames[0])[args[0]] = args[1];
+        return;
+      case 'repeat':
+        for(var i = 0; i < Math.round(number(statement, args[0])); i++){
+          this.execute(statement.body, context);
+        }
+        return;
+      case 'if':
+        if(args[0] === true || (typeof args[0] === 'number' && args[0] !== 0)){
+          this.execute(statement.body, context);
+        }
+        return;
+    }
+
+    var procedure = context.procedures[statement.name];
+    if(!procedure){
+      throw logoError(Error, statement, 'I don\'t know how to ' + statement.text);
+    }
+    if(context.depth >= this.maxDepth){
+      throw logoError(RangeError, statement, 'procedures are nested more than ' + this.maxDepth +
+                      ' levels deep');
+    }
+    context.frames.push(_.zipObject(procedure.params, args));
+    context.depth++;
+    this.execute(procedure.body, context);
+    context.depth--;
+    context.frames.pop();
+  }, this);
+}
+
+Logo.prototype.evaluate = function(node, context){
+  if(node.value !== undefined) return node.value;
+
+  if(node.variable !== undefined){
+    var frame = _.findLast(context.frames, function(frame){ return _.has(frame, node.variable); });
+    if(!frame) throw logoError(Error, node, node.text + ' has no value');
+    return frame[node.variable];
+  }
+
+  var args = node.args.map(function(arg){ return this.evaluate(arg, context); }, this);
+  if(node.op === '=') return args[0] === args[1];
+  args.forEach(function(arg){ number(node, arg, node.op === 'neg' ? '-' : node.op); });
+  switch(node.op){
+    case 'neg': return -args[0];
+    case '+': return args[0] + args[1];
+    case '-': return args[0] - args[1];
+    case '*': return args[0] * args[1];
+    case '/':
+      if(args[1] === 0) throw logoError(RangeError, node, 'division by zero');
+      return args[0] / args[1];
+    case '<': return args[0] < args[1];
+    case '>': return args[0] > args[1];
+  }
+}
+
+/**
+ * @returns {number} the value, if it is a number
+ * @throws {TypeError} if it isn't
+ */
+var number = function(node, value, name){
+  if(typeof value !== 'number' || isNaN(value)){
+    throw logoError(TypeError, node, (name || node.text) + ' doesn\'t like ' +
+                    (typeof value === 'string' ? '"' : '') + value + ' as input');
+  }
+  return value;
+}
+
+/**
+ * @returns {number} the value, if it is a number in [min..max]
+ * @throws {TypeError|RangeError} if it isn't
+ */
+var range = function(node, value, min, max){
+  if(number(node, value) < min || value > max){
+    throw logoError(RangeError, node, node.text + ' needs ' +
+                    (max === Infinity ? 'at least ' + min : 'a number in [' + min + '..' + max + ']') +
+                    ', got ' + value);
+  }
+  return value;
+}
+
+module.exports = Logo;
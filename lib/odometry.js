@@ -0,0 +1,201 @@
+/**
+ * Dead reckoning: estimates where the robot is by integrating the packets it
+ * received, the same way the simulator moves its robot. Each packet is
+ * executed for its duration, or until the next packet replaces it. Speeds for
+ * the packet's power, rotation and gait come from the calibration.
+ *
+ * Pose is kept in the LOGO turtle's terms:
+ *
+ *   x, y    - position in meters; y axis points in the direction the robot
+ *             was facing at the start, x axis to the right of it
+ *   heading - [degrees] 0 -> along y axis; 90 -> along x axis (clockwise,
+ *             like the compass)
+ *
+ * Path of the robot is recorded as {x, y, heading, time} points, and can be
+ * exported as SVG or GeoJSON.
+ */
+
+var _ = require('lodash');
+
+var CYCLE = 0.02; // seconds; one unit of Packet.duration
+
+/**
+ * @param {Calibration} calibration
+ * @param {object} [options]
+ * @param {number} [options.pathStep] [seconds] how often a point is added to
+ *                                    the path while moving; 0.2 by default
+ * @param {number} [options.maxPath] number of points kept; 10000 by default
+ * @param {function} [options.clock] returns current time in ms; Date.now by
+ *                                   default
+ */
+var Odometry = function(calibration, options){
+  options = options || {};
+  this.calibration = calibration;
+  this.pathStep = options.pathStep || 0.2;
+  this.maxPath = options.maxPath || 10000;
+  this.clock = options.clock || Date.now;
+  this.reset();
+}
+
+/**
+ * Puts the robot at the given pose (the origin by default) and starts a new
+ * path. The packet being executed is forgotten.
+ *
+ * @param {object} [pose] {x, y, heading}
+ * @param {number} [time] [ms] current time by default
+ */
+Odometry.prototype.reset = function(pose, time){
+  time = time !== undefined ? time : this.clock();
+  this.pose = _.defaults(_.pick(pose, ['x', 'y', 'heading']), {x: 0, y: 0, heading: 0});
+  this.activePacket = undefined; //packet the robot is executing
+  this.activeSince = time;       //when it was received, or integrated up to [ms]
+  this.path = [];
+  this.addPoint(time);
+}
+
+/**
+ * The robot got a packet; it replaces the one it was executing.
+ *
+ * @param {Packet} packet
+ * @param {number} [time] [ms] current time by default
+ */
+Odometry.prototype.receive = function(packet, time){
+  time = time !== undefined ? time : this.clock();
+  this.update(time);
+  this.activePacket = packet;
+  this.activeSince = time;
+  this.activeUntil = time + packet.duration*CYCLE*1000; //when the robot stops [ms]
+}
+
+/**
+ * Moves the robot according to the active packet, up to the given time.
+ */
+Odometry.prototype.update = function(time){
+  var packet = this.activePacket;
+  if(!packet) return;
+
+  var end = Math.min(time, this.activeUntil);
+  while(end > this.activeSince){
+    var step = Math.min(end, this.activeSince + this.pathStep*1000);
+    integrate(this.pose, packet, (step - this.activeSince)/1000, this.calibration);
+    this.activeSince = step;
+    this.addPoint(step);
+  }
+}
+
+Odometry.prototype.addPoint = function(time){
+  var last = this.path[this.path.length - 1];
+  var pose = this.pose;
+  if(last && last.x === pose.x && last.y === pose.y && last.heading === pose.heading) return;
+
+  this.path.push({x: pose.x, y: pose.y, heading: pose.heading, time: time});
+  if(this.path.length > this.maxPath) this.path.shift();
+}
+
+/**
+ * @param {number} [time] [ms] current time by default
+ * @returns {object} {x, y, heading} at the time
+ */
+Odometry.prototype.getPose = function(time){
+  this.update(time !== undefined ? time : this.clock());
+  return _.clone(this.pose);
+}
+
+/**
+ * @param {number} [time] [ms] current time by default
+ * @returns {Array} {x, y, heading, time} points, oldest first
+ */
+Odometry.prototype.getPath = function(time){
+  this.update(time !== undefined ? time : this.clock());
+  return this.path.map(_.clone);
+}
+
+/**
+ * Draws the path, with north (the y axis) up.
+ *
+ * @param {object} [options]
+ * @param {number} [options.scale] pixels per meter; 200 by default
+ * @param {number} [options.margin] [pixels] 20 by default
+ * @param {string} [options.color] of the path; 'black' by default
+ * @returns {string} SVG document
+ */
+Odometry.prototype.toSVG = function(options){
+  options = options || {};
+  var scale  = options.scale || 200;
+  var margin = options.margin !== undefined ? options.margin : 20;
+  var color  = options.color || 'black';
+  var path   = this.getPath();
+  var pose   = path[path.length - 1];
+
+  var minX = _.minBy(path, 'x').x, maxX = _.maxBy(path, 'x').x;
+  var minY = _.minBy(path, 'y').y, maxY = _.maxBy(path, 'y').y;
+  var width  = Math.ceil((maxX - minX)*scale + 2*margin);
+  var height = Math.ceil((maxY - minY)*scale + 2*margin);
+  var point  = function(p){
+    return ((p.x - minX)*scale + margin).toFixed(1) + ',' + ((maxY - p.y)*scale + margin).toFixed(1);
+  };
+  var end = point(pose).split(',');
+
+  return [
+    '<svg xmlns="http://www.w3.org/2000/svg" width="' + width + '" height="' + height +
+      '" viewBox="0 0 ' + width + ' ' + height + '">',
+    '  <polyline fill="none" stroke="' + color + '" stroke-width="2" points="' +
+      path.map(point).join(' ') + '"/>',
+    '  <polygon fill="' + color + '" points="0,-8 5,6 -5,6" transform="translate(' +
+      end[0] + ' ' + end[1] + ') rotate(' + pose.heading.toFixed(1) + ')"/>',
+    '</svg>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Exports the path as a GeoJSON LineString feature. Without an origin, the
+ * coordinates are [x, y] in meters (a local, non-geographic system).
+ *
+ * @param {object} [origin] {lat, lon} of the starting point, to get
+ *                          geographic coordinates (y axis pointing north)
+ * @returns {object} GeoJSON Feature
+ */
+Odometry.prototype.toGeoJSON = function(origin){
+  var metersPerDegree = 111320;
+  var coordinates = this.getPath().map(function(p){
+    if(!origin) return [p.x, p.y];
+    return [origin.lon + p.x / (metersPerDegree * Math.cos(origin.lat * Math.PI/180)),
+            origin.lat + p.y / metersPerDegree];
+  });
+  if(coordinates.length === 1) coordinates.push(coordinates[0]); // LineString needs 2
+
+  return {
+    type: 'Feature',
+    geometry: {type: 'LineString', coordinates: coordinates},
+    properties: {pose: this.getPose()}
+  };
+}
+
+/**
+ * Walks the pose along for the given number of seconds, in steps of one robot
+ * cycle, so that combined translation and rotation produce an arc.
+ */
+var integrate = function(pose, packet, seconds, calibration){
+  if(!packet.onOff) return;
+
+  var gait = packet.slidersArray[1];
+  var speed = 1 / calibration.secondsPerMeter(packet.power, gait); // m/s
+  var turnRate = packet.rotation === 0 ? 0 :                      // deg/s
+    (packet.rotation > 0 ? 360 : -360) / calibration.secondsPerTurn(packet.rotation, gait);
+
+  while(seconds > 0){
+    var dt = Math.min(CYCLE, seconds);
+    var bearing = (pose.heading + packet.angle + turnRate*dt/2) * Math.PI/180;
+    pose.x += Math.sin(bearing) * speed * dt;
+    pose.y += Math.cos(bearing) * speed * dt;
+    pose.heading += turnRate * dt;
+    seconds -= dt;
+  }
+  pose.heading = ((pose.heading % 360) + 360) % 360;
+}
+
+Odometry.integrate = integrate;
+Odometry.CYCLE     = CYCLE;
+
+module.exports = Odometry;
@@ -0,0 +1,236 @@
+/**
+ * Packet is the binary message understood by the STEMI hexapod. Shared by the
+ * Node.js library, the browser build and the simulator.
+ */
+
+var _   = require('lodash');
+var log = require('loglevel');
+
+/**
+ * STEMI hexapod robot expects to receive binary messages we called 'Packets'.
+ * Since these messages contain a lot of parameters, object 'Packet' is introduced
+ * for simplicity. Unchanged, it contains all the values necessary for the robot
+ * to stay still. By changing the parameters of Packet we can issue movement
+ * commands for the hexapod. This is the short explanation of the parameters
+ * and their valid values:
+ *
+ *  Translational motion:
+ *   power - [0..100] speed of the robot
+ *   angle - [-180..180] 0 deg -> forward; 90 deg -> right; -90 deg -> left;
+ *           180 deg -> back;
+ *
+ *  Rotational motion:
+ *   rotation - [-100..100]; speed and direction of rotation;
+ *              [0..100] - clockwise; [-100..0] counterclockwise
+ *
+ *  Special flags (Tilt bytes are MUTUALLY EXCLUSIVE):
+ *   staticTilt - [0,1] 1 -> enable body tilting according to the accelerometer
+ *   movingTilt - [0,1] 1 -> enable body tilting while walking *EXPERIMENTAL*
+ *   onOff      - [0,1] 1 -> robot operational; 0 -> robot sleeping
+ *
+ *  Accelerometer (one of the *Tilt bytes must be 1):
+ *   Bytes should contain acceleration force in (m/s^2 * 10), saturated at -40 and 40
+ *    accX - x axis acceleration
+ *    accY - y axis acceleration
+ *
+ *  Sliders array:
+ *   Array of 9 bytes that represent the state of 9 sliders of the Android app.
+ *   Has a default value of [50, 25, 0, 0, 0, 0, 0, 0, 0]
+ *    slidersArray[0]    - [0..100] robot height
+ *    slidersArray[1]    - [0..100] gait
+ *    slidersArray[2..8] - [0..255] user defined data; this is where users can
+ *                         encode the special messages to the robot. Arduino
+ *                         firmware needs to be modified in order to utilize
+ *                         these bytes.
+ *
+ *  duration - [0..65535] specifies how long will a packet be
+ *             "executed" on a robot. If 0, the robot will go in
+ *             rest state as soon as the timer on robot expires.
+ *             Value represents number of cycles, which is 20ms
+ *             for STEMI hexapod. E.g. to command the robot to go
+ *             forward for 1 second with the maximum speed, the
+ *             packet would be crated as:
+ *               var packet = new Packet({power: 100, duration: 50});
+ *
+ */
+var Packet = function(parameters){
+  var defaults = {
+    power: 0,
+    angle: 0,
+    rotation: 0,
+    staticTilt: 0,
+    movingTilt: 0,
+    onOff: 1,
+    accX: 0,
+    accY: 0,
+    slidersArray: [50, 25, 0, 0, 0, 0, 0, 0, 0],
+    duration: 0
+  }
+
+  if(parameters && parameters.slidersArray && parameters.slidersArray.length !== 9){
+    parameters.slidersArray = defaults.slidersArray;
+    log.warn('new Packet: slidersArray.length should be exactly 9; defaulting ');
+  }
+
+  for(var p in parameters){
+    this[p.toString()] = parameters[p.toString()];
+  }
+
+  _.defaults(this, defaults);
+}
+
+/**
+ * Valid ranges of Packet's numeric parameters (see the description above).
+ */
+var PACKET_RANGES = {
+  power:      [0, 100],
+  angle:      [-180, 180],
+  rotation:   [-100, 100],
+  staticTilt: [0, 1],
+  movingTilt: [0, 1],
+  onOff:      [0, 1],
+  accX:       [-40, 40],
+  accY:       [-40, 40],
+  duration:   [0, 65535]
+}
+
+/**
+ * Checks that all of the packet's parameters are within their documented
+ * ranges, so that nothing gets wrapped around by getBuffer(). Values within
+ * the ranges are rounded to what the frame holds, see normalize().
+ *
+ * @param {Packet} packet
+ * @returns {Packet} the same packet
+ * @throws {TypeError} if a parameter is not a number
+ * @throws {RangeError} if a parameter is out of its range, or both tilts are on
+ */
+Packet.validate = function(packet){
+  _.forEach(PACKET_RANGES, function(range, name){
+    checkRange('Packet.' + name, packet[name], range[0], range[1]);
+  });
+
+  if(packet.staticTilt && packet.movingTilt){
+    throw new RangeError('Packet.staticTilt and Packet.movingTilt are mutually exclusive');
+  }
+
+  if(!packet.slidersArray || packet.slidersArray.length !== 9){
+    throw new RangeError('Packet.slidersArray must have exactly 9 elements');
+  }
+  packet.slidersArray.forEach(function(value, i){
+    checkRange('Packet.slidersArray[' + i + ']', value, 0, i < 2 ? 100 : 255);
+  });
+
+  return packet;
+}
+
+var checkRange = function(name, value, min, max){
+  if(typeof value !== 'number' || isNaN(value)){
+    throw new TypeError(name + ' must be a number, got ' + value);
+  }
+  if(value < min || value > max){
+    throw new RangeError(name + ' must be in [' + min + '..' + max + '], got ' + value);
+  }
+}
+
+/**
+ * The frame holds whole numbers only, and the angle halved (see getBuffer),
+ * so a packet is sent with its parameters rounded to whole numbers and its
+ * angle to an even number, e.g. angle 45 goes out as 46. This is the one place
+ * they are adjusted: Hexapod sends (and reports in 'packetSent') the
+ * normalized packets, and fromBuffer(packet.getBuffer()) gives back
+ * normalize(packet).
+ *
+ * @param {Packet} packet
+ * @returns {Packet} normalized copy; values which aren't numbers are left to
+ *                   validate()
+ */
+Packet.normalize = function(packet){
+  var normalized = _.assign(Object.create(Packet.prototype), packet);
+  _.forEach(PACKET_RANGES, function(range, name){
+    normalized[name] = round(packet[name]);
+  });
+  if(typeof packet.angle === 'number') normalized.angle = 2*Math.round(packet.angle/2);
+  normalized.slidersArray = packet.slidersArray && packet.slidersArray.map(round);
+  return normalized;
+}
+
+var round = function(value){
+  return typeof value === 'number' ? Math.round(value) : value;
+}
+
+/**
+ * Generates a buffer of bytes to be sent to the robot via websocket.
+ * STEMI hexapod expects first three bytes to be 'P', 'K', 'T' ASCII chars,
+ * followed by 19 bytes representing the Packet:
+ *
+ *   power, angle/2, rotation, staticTilt, movingTilt, onOff, accX, accY,
+ *   slidersArray[0..8], duration (2 bytes, big endian)
+ *
+ * Signed values (angle/2, rotation, accX, accY) are sent as two's complement
+ * bytes, e.g. -1 is sent as 255. Values are normalized first (see normalize).
+ *
+ * NOTE: angle parameter is divided by 2 to save space (one byte cannot hold
+ *       values in [-180..180] range). Multiplying this value by 2 should be done
+ *       on the robot side.
+ *
+ * @returns {Buffer}
+ * @throws {RangeError|TypeError} if the packet is not valid (see validate)
+ */
+Packet.prototype.getBuffer = function(){
+  Packet.validate(this);
+  var packet = Packet.normalize(this);
+  var array = new Uint8Array(22);
+  var duration = packet.duration;
+
+  array.set([80, 75, 84, // 'P', 'K', 'T'
+             packet.power, packet.angle/2, packet.rotation, packet.staticTilt,
+             packet.movingTilt, packet.onOff, packet.accX, packet.accY].map(toByte));
+  array.set(packet.slidersArray.map(toByte), 11);
+  //pack duration in 2 bytes (big endian)
+  array.set([duration >> 8, duration & 255], 20);
+
+  return Buffer.from(array.buffer);
+}
+
+/**
+ * Converts the whole number to a two's complement byte.
+ */
+var toByte = function(value){
+  return value & 255;
+}
+
+/**
+ * Parses the bytes made by getBuffer() back into a Packet.
+ *
+ * @param {Buffer|Uint8Array|ArrayBuffer} buffer 22 bytes starting with 'PKT'
+ * @returns {Packet}
+ * @throws {RangeError} if the buffer is not a valid packet
+ */
+Packet.fromBuffer = function(buffer){
+  var bytes = Buffer.from(buffer instanceof ArrayBuffer ? buffer : new Uint8Array(buffer));
+
+  if(bytes.length !== 22){
+    throw new RangeError('Packet.fromBuffer: expected 22 bytes, got ' + bytes.length);
+  }
+  if(bytes.toString('ascii', 0, 3) !== 'PKT'){
+    throw new RangeError('Packet.fromBuffer: missing \'PKT\' header (' +
+                         bytes.toString('hex', 0, 3) + ')');
+  }
+
+  return Packet.validate(new Packet({
+    power: bytes.readUInt8(3),
+    angle: bytes.readInt8(4)*2,
+    rotation: bytes.readInt8(5),
+    staticTilt: bytes.readUInt8(6),
+    movingTilt: bytes.readUInt8(7),
+    onOff: bytes.readUInt8(8),
+    accX: bytes.readInt8(9),
+    accY: bytes.readInt8(10),
+    slidersArray: Array.prototype.slice.call(bytes, 11, 20),
+    duration: bytes.readUInt16BE(20)
+  }));
+}
+
+Packet.RANGES = PACKET_RANGES;
+
+module.exports = Packet;
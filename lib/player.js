@@ -0,0 +1,118 @@
+/**
+ * Player replays a recording (see recorder.js) with its original timing. The
+ * packets can go to:
+ *
+ *   - a Hexapod, sent over its transport (the link is opened if needed; the
+ *     hexapod's command queue shouldn't be running meanwhile)
+ *   - a Simulator, which receives them directly
+ *   - a transport, e.g. new DryRunTransport() to send them nowhere
+ *   - a function(packet, entry)
+ *
+ * Example:
+ *
+ *   var player = new Player(Recorder.load('session.pkt'));
+ *   player.on('packet', function(event){ console.log(event.entry.packet); });
+ *   player.play(hexapod).then(function(){ console.log('Done!'); });
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var util         = require('util');
+
+/**
+ * @param {Array} entries {time, packet} of a recording, e.g. from
+ *                        Recorder.load or recorder.entries
+ *
+ * Emits:
+ *   packet    - {entry, index, time}; packet was handed to the sink
+ *   sendError - {entry, index, error}; sink failed to send a packet (the
+ *               playback goes on)
+ */
+var Player = function(entries){
+  EventEmitter.call(this);
+  this.entries = entries;
+  this.timer = undefined;
+  this.finish = undefined; //resolves the play() promise
+}
+
+util.inherits(Player, EventEmitter);
+
+/**
+ * @param {Hexapod|Simulator|object|function} sink where to send the packets,
+ *                                                see above
+ * @param {object} [options]
+ * @param {number} [options.speed] playback rate; 2 plays twice as fast, 1 by
+ *                                 default. Packet durations stay the same, so
+ *                                 at other rates the robot moves differently
+ *                                 than recorded
+ * @returns {Promise} resolved when the recording is played to the end, or
+ *                    stopped
+ */
+Player.prototype.play = function(sink, options){
+  var self    = this;
+  var speed   = options && options.speed || 1;
+  var entries = this.entries;
+  var send    = sender(sink);
+  this.stop();
+
+  var opening = sink.transport ? sink.transport.open() :
+                typeof sink.open === 'function' ? sink.open() : Promise.resolve();
+
+  return opening.then(function(){
+    return new Promise(function(resolve){
+      var index = 0;
+      var begin = Date.now();
+      var first = entries.length ? entries[0].time : 0;
+      self.finish = resolve;
+
+      var next = function(){
+        self.timer = undefined;
+        while(index < entries.length && (entries[index].time - first)/speed <= Date.now() - begin){
+          var entry = entries[index];
+          var event = {entry: entry, index: index++, time: Date.now()};
+          send(entry.packet, entry).catch(function(error){
+            self.emit('sendError', {entry: event.entry, index: event.index, error: error});
+          });
+          self.emit('packet', event);
+        }
+        if(index >= entries.length) return self.stop();
+        var wait = (entries[index].time - first)/speed - (Date.now() - begin);
+        self.timer = setTimeout(next, Math.max(0, wait));
+      };
+      next();
+    });
+  });
+}
+
+/**
+ * Stops the playback; the play() promise is resolved.
+ */
+Player.prototype.stop = function(){
+  var finish = this.finish;
+  clearTimeout(this.timer);
+  this.timer = undefined;
+  this.finish = undefined;
+  if(finish) finish();
+}
+
+/**
+ * @returns {function} sends a packet to the sink, returns a Promise
+ */
+var sender = function(sink){
+  if(typeof sink === 'function'){
+    return function(packet, entry){
+      return Promise.resolve().then(function(){ return sink(packet, entry); });
+    };
+  }
+  if(sink.transport){
+    return function(packet){ return sink.sendPacket(packet); };
+  }
+  if(typeof sink.receive === 'function'){
+    return function(packet){
+      return sink.receive(packet.getBuffer(), 'replay') ? Promise.resolve()
+                                                        : Promise.reject(new Error('Invalid packet'));
+    };
+  }
+  return function(packet){ return sink.send(packet); };
+}
+
+module.exports = Player;
@@ -0,0 +1,40 @@
+/**
+ * Probes available in the web browser (see probes.js). The browser can't
+ * open TCP connections, so only the HTTP probe works; it is an
+ * XMLHttpRequest, which the robot has to allow from the page's origin.
+ */
+
+var Packet = require('./packet.js');
+
+/**
+ * @see probes.js; never ok in the browser
+ */
+var probeTcp = function(ip, port, timeout){
+  return Promise.resolve({ok: false, latency: 0, response: undefined});
+}
+
+/**
+ * @see probes.js
+ */
+var probeHttp = function(ip, port, timeout, answer){
+  return new Promise(function(resolve){
+    var start = Date.now();
+    var done  = function(ok, response){
+      resolve({ok: ok, latency: Date.now() - start, response: response});
+    };
+    var xmlHttp = new XMLHttpRequest();
+    xmlHttp.timeout = timeout;
+    xmlHttp.onload = function(){
+      var body = xmlHttp.responseText.trim();
+      done(xmlHttp.status === 200 && (answer == null || body === answer), body);
+    };
+    xmlHttp.onerror = function(){ done(false); };
+    xmlHttp.ontimeout = function(){ done(false); };
+    xmlHttp.open('GET', 'http://' + ip + ':' + port + '/send?raw=' +
+                 new Packet().getBuffer().toString('base64'), true);
+    xmlHttp.send(null);
+  });
+}
+
+exports.probeTcp  = probeTcp;
+exports.probeHttp = probeHttp;
@@ -0,0 +1,82 @@
+/**
+ * Checks whether a STEMI robot answers at an address, for discovery.js.
+ * In the browser build, probes-browser.js replaces this file (see 'browser'
+ * in package.json), so it has the same exports.
+ *
+ * Both probes resolve with {ok, latency, response}: ok is true if the probe
+ * succeeded, latency is in ms and response is whatever the host answered.
+ * They are never rejected; a host which doesn't answer in time isn't ok.
+ */
+
+var net    = require('net');
+var http   = require('http');
+var Packet = require('./packet.js');
+
+/**
+ * Opens a TCP connection to the port and closes it right away, without
+ * sending anything.
+ *
+ * @param {string} ip
+ * @param {number} port
+ * @param {number} timeout [ms]
+ * @returns {Promise}
+ */
+var probeTcp = function(ip, port, timeout){
+  return new Promise(function(resolve){
+    var start  = Date.now();
+    var socket = new net.Socket();
+    var done   = function(ok){
+      socket.destroy();
+      resolve({ok: ok, latency: Date.now() - start, response: undefined});
+    };
+    socket.setTimeout(timeout);
+    socket.once('connect', function(){ done(true); });
+    socket.once('timeout', function(){ done(false); });
+    socket.once('error', function(){ done(false); });
+    socket.connect(port, ip);
+  });
+}
+
+/**
+ * Sends a resting packet to the '/send' endpoint, the way the HTTP transport
+ * does. The robot accepts it with status 200; other web servers don't know
+ * the endpoint, though some answer 200 anyway (e.g. a single page app or a
+ * router's admin page), so the body can be checked too.
+ *
+ * The packet has an effect: a robot which is being driven (by this library or
+ * the app) stands still for a moment.
+ *
+ * @param {string} ip
+ * @param {number} port
+ * @param {number} timeout [ms]
+ * @param {string} [answer] body the robot answers with (trimmed); without
+ *                          it, any body is ok
+ * @returns {Promise}
+ */
+var probeHttp = function(ip, port, timeout, answer){
+  return new Promise(function(resolve){
+    var start = Date.now();
+    var done  = function(ok, response){
+      resolve({ok: ok, latency: Date.now() - start, response: response});
+    };
+    var request = http.get({
+      hostname: ip,
+      port: port,
+      path: '/send?raw=' + new Packet().getBuffer().toString('base64'),
+      agent: false,
+      timeout: timeout
+    }, function(response){
+      var chunks = [];
+      response.on('data', function(chunk){ chunks.push(chunk); });
+      response.on('end', function(){
+        var body = Buffer.concat(chunks).toString().trim();
+        done(response.statusCode === 200 && (answer == null || body === answer), body);
+      });
+    });
+    request.on('timeout', function(){ request.destroy(); });
+    request.on('error', function(){ done(false); });
+  });
+}
+
+exports.probeTcp  = probeTcp;
+exports.probeHttp = probeHttp;
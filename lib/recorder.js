@@ -0,0 +1,252 @@
+/**
+ * Recorder captures every packet a Hexapod sends (queued commands, the
+ * connect() stream, sendCustomPacket...), with the time it was sent, so that
+ * sessions can be replayed later (see player.js) to reproduce a problem or
+ * share a choreography.
+ *
+ * Recordings are saved in one of two formats, chosen by the file extension:
+ *
+ * JSON lines (.jsonl, or any other extension) - a header line followed by
+ * a line for each packet; t is in ms since the start:
+ *
+ *   {"format":"hexapod-recording","version":1,"start":1700000000000}
+ *   {"t":0,"transport":"tcp","packet":{"power":100,"angle":0,...}}
+ *   {"t":100,"transport":"tcp","packet":{"power":100,"angle":0,...}}
+ *
+ * Binary (.pkt) - raw frames, as they went over the wire:
+ *
+ *   header, 16 bytes: 'HXPK', version (1 byte, 1), 3 zero bytes,
+ *                     start [ms since epoch] (8 byte big endian double)
+ *   record, 26 bytes: t [ms since the start] (4 byte big endian unsigned),
+ *                     22 byte frame (see Packet.prototype.getBuffer)
+ *
+ * The binary format doesn't keep the transport's name.
+ */
+
+var fs     = require('fs');
+var _      = require('lodash');
+var Packet = require('./packet.js');
+
+var MAGIC         = 'HXPK';
+var VERSION       = 1;
+var HEADER_LENGTH = 16;
+var RECORD_LENGTH = 26;
+
+/**
+ * @param {Hexapod} [hexapod] to record; start() begins recording
+ * @param {object} [options]
+ * @param {string} [options.file] write the packets to the file as they are
+ *                                sent (Node.js only), so the recording
+ *                                survives a crash
+ */
+var Recorder = function(hexapod, options){
+  options = options || {};
+  var self = this;
+  this.hexapod = hexapod;
+  this.file = options.file;
+  this.entries = [];          //{time, transport, packet}
+  this.startTime = undefined; //[ms since epoch]
+  this.stream = undefined;
+  this.error = undefined;     //of writing the file, reported by stop()
+  this.recording = false;
+  this.onPacketSent = function(event){ self.add(event.packet, event.transport, event.time); };
+}
+
+/**
+ * @returns {Recorder} this
+ */
+Recorder.prototype.start = function(){
+  if(this.recording) return this;
+  this.recording = true;
+  if(this.startTime === undefined) this.startTime = Date.now();
+  if(this.file && !this.stream){
+    var self = this;
+    this.error = undefined;
+    this.stream = fs.createWriteStream(this.file);
+    this.stream.on('error', function(error){ self.error = self.error || error; });
+    this.stream.write(isBinary(this.file) ? header(this.startTime) : headerLine(this.startTime));
+  }
+  if(this.hexapod) this.hexapod.on('packetSent', this.onPacketSent);
+  return this;
+}
+
+/**
+ * Stops recording; the recorded entries are kept.
+ *
+ * @returns {Promise} resolved when options.file is written; rejected if it
+ *                    couldn't be (e.g. its directory doesn't exist)
+ */
+Recorder.prototype.stop = function(){
+  var self   = this;
+  var stream = this.stream;
+  this.recording = false;
+  this.stream = undefined;
+  if(this.hexapod) this.hexapod.removeListener('packetSent', this.onPacketSent);
+  if(!stream) return Promise.resolve();
+
+  return new Promise(function(resolve, reject){
+    if(self.error) return reject(self.error);
+    stream.on('error', reject);
+    stream.end(resolve);
+  });
+}
+
+/**
+ * Adds a packet to the recording; called for every packet the hexapod sends.
+ *
+ * @param {Packet} packet
+ * @param {string} [transport] name of the transport
+ * @param {number} [time] [ms since epoch] Date.now() by default
+ */
+Recorder.prototype.add = function(packet, transport, time){
+  var entry = {time: time !== undefined ? time : Date.now(), transport: transport, packet: packet};
+  if(this.startTime === undefined) this.startTime = entry.time;
+  this.entries.push(entry);
+  if(this.stream){
+    this.stream.write(isBinary(this.file) ? record(entry, this.startTime) : line(entry, this.startTime));
+  }
+}
+
+/**
+ * @returns {string} recording in the JSON lines format
+ */
+Recorder.prototype.toJSONL = function(){
+  var start = this.startTime !== undefined ? this.startTime : Date.now();
+  return headerLine(start) + this.entries.map(function(entry){ return line(entry, start); }).join('');
+}
+
+/**
+ * @returns {Buffer} recording in the binary format
+ */
+Recorder.prototype.toBuffer = function(){
+  var start = this.startTime !== undefined ? this.startTime : Date.now();
+  return Buffer.concat([header(start)].concat(this.entries.map(function(entry){
+    return record(entry, start);
+  })));
+}
+
+/**
+ * Writes the recording to a file (Node.js only); '.pkt' files get the
+ * binary format, others JSON lines.
+ *
+ * @param {string} file
+ */
+Recorder.prototype.save = function(file){
+  fs.writeFileSync(file, isBinary(file) ? this.toBuffer() : this.toJSONL());
+}
+
+/**
+ * Reads a recording in either format (Node.js only).
+ *
+ * @param {string} file
+ * @returns {Array} {time, transport, packet} entries; time in ms since epoch
+ * @throws {Error} if the file isn't a valid recording
+ */
+Recorder.load = function(file){
+  var data = fs.readFileSync(file);
+  return data.toString('ascii', 0, 4) === MAGIC ? Recorder.parseBuffer(data)
+                                                : Recorder.parseJSONL(data.toString('utf8'));
+}
+
+/**
+ * @param {string} text recording in the JSON lines format
+ * @returns {Array} {time, transport, packet} entries
+ * @throws {Error} if the text isn't a valid recording
+ */
+Recorder.parseJSONL = function(text){
+  var lines = text.split('\n').filter(function(line){ return line.trim(); });
+  var parse = function(line, i){
+    try {
+      return JSON.parse(line);
+    } catch(error) {
+      throw new Error('Recording: line ' + (i + 1) + ' is not valid JSON: ' + error.message);
+    }
+  };
+
+  var head = lines.length ? parse(lines[0], 0) : {};
+  if(head.format !== 'hexapod-recording'){
+    throw new Error('Recording: missing the \'hexapod-recording\' header line');
+  }
+  if(head.version !== VERSION){
+    throw new Error('Recording: unsupported version ' + head.version);
+  }
+
+  return lines.slice(1).map(function(text, i){
+    var entry = parse(text, i + 1);
+    try {
+      return {
+        time: head.start + entry.t,
+        transport: entry.transport,
+        packet: Packet.validate(new Packet(entry.packet))
+      };
+    } catch(error) {
+      throw new Error('Recording: line ' + (i + 2) + ': ' + error.message);
+    }
+  });
+}
+
+/**
+ * @param {Buffer} buffer recording in the binary format
+ * @returns {Array} {time, transport, packet} entries; transport is undefined
+ * @throws {Error} if the buffer isn't a valid recording
+ */
+Recorder.parseBuffer = function(buffer){
+  if(buffer.length < HEADER_LENGTH || buffer.toString('ascii', 0, 4) !== MAGIC){
+    throw new Error('Recording: missing the \'' + MAGIC + '\' header');
+  }
+  if(buffer.readUInt8(4) !== VERSION){
+    throw new Error('Recording: unsupported version ' + buffer.readUInt8(4));
+  }
+  if((buffer.length - HEADER_LENGTH) % RECORD_LENGTH !== 0){
+    throw new Error('Recording: truncated; ' + (buffer.length - HEADER_LENGTH) % RECORD_LENGTH +
+                    ' bytes left over after the last record');
+  }
+
+  var start   = buffer.readDoubleBE(8);
+  var entries = [];
+  for(var offset = HEADER_LENGTH; offset < buffer.length; offset += RECORD_LENGTH){
+    try {
+      entries.push({
+        time: start + buffer.readUInt32BE(offset),
+        transport: undefined,
+        packet: Packet.fromBuffer(buffer.slice(offset + 4, offset + RECORD_LENGTH))
+      });
+    } catch(error) {
+      throw new Error('Recording: record ' + entries.length + ': ' + error.message);
+    }
+  }
+  return entries;
+}
+
+var isBinary = function(file){
+  return /\.pkt$/i.test(file);
+}
+
+var headerLine = function(start){
+  return JSON.stringify({format: 'hexapod-recording', version: VERSION, start: start}) + '\n';
+}
+
+var line = function(entry, start){
+  return JSON.stringify({
+    t: entry.time - start,
+    transport: entry.transport,
+    packet: _.pick(entry.packet, Object.keys(new Packet()))
+  }) + '\n';
+}
+
+var header = function(start){
+  var buffer = Buffer.alloc(HEADER_LENGTH);
+  buffer.write(MAGIC, 0, 'ascii');
+  buffer.writeUInt8(VERSION, 4);
+  buffer.writeDoubleBE(start, 8);
+  return buffer;
+}
+
+var record = function(entry, start){
+  var buffer = Buffer.alloc(RECORD_LENGTH);
+  buffer.writeUInt32BE(Math.max(0, Math.round(entry.time - start)), 0);
+  entry.packet.getBuffer().copy(buffer, 4);
+  return buffer;
+}
+
+module.exports = Recorder;
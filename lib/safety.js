@@ -0,0 +1,184 @@
+/**
+ * SafetyPolicy keeps programs from doing something silly, like walking the
+ * robot off the table: every command is checked before its packet is sent
+ * (see Hexapod.prototype.prepareCmd), and commands which break a limit are
+ * rejected. Limits are off unless given:
+ *
+ *   maxSpeed    - [0..100] caps the speed of the movement commands (their
+ *                 distances and angles stay right, they just take longer)
+ *                 and the power and rotation of custom packets and sequences
+ *   maxDistance - [meters] a command may walk
+ *   maxDuration - [seconds] a command may move the robot
+ *   maxRuntime  - [seconds] all the commands together may take, until
+ *                 reset()
+ *   fence       - {minX, maxX, minY, maxY} [meters] rectangle the robot has
+ *                 to stay in, in the coordinates of the tracked pose (see
+ *                 Hexapod.prototype.getPose). Moves which would leave it are
+ *                 rejected; outside of it, only moves which don't go further
+ *                 out are allowed
+ *
+ * Rejected commands fail with an Error whose 'rule' is the name of the limit.
+ *
+ *   var hexapod = new Hexapod('192.168.4.1', 80, {
+ *     safety: {maxSpeed: 50, fence: {minX: -1, maxX: 1, minY: 0, maxY: 2}}
+ *   });
+ *   // or safety: 'beginner', see SafetyPolicy.PRESETS
+ */
+
+var _        = require('lodash');
+var Packet   = require('./packet.js');
+var Odometry = require('./odometry.js');
+
+var STEP = 0.1; //[seconds] between the points of a move checked against the fence
+
+/**
+ * @param {string|object} [options] name of a preset from
+ *        SafetyPolicy.PRESETS, or the limits (see above)
+ * @throws {Error} if there is no such preset
+ */
+var SafetyPolicy = function(options){
+  if(typeof options === 'string'){
+    if(!SafetyPolicy.PRESETS[options]){
+      throw new Error('SafetyPolicy: unknown preset \'' + options + '\'; expected one of: ' +
+                      Object.keys(SafetyPolicy.PRESETS).join(', '));
+    }
+    options = SafetyPolicy.PRESETS[options];
+  }
+  options = options || {};
+  this.maxSpeed    = options.maxSpeed !== undefined ? options.maxSpeed : 100;
+  this.maxDistance = options.maxDistance !== undefined ? options.maxDistance : Infinity;
+  this.maxDuration = options.maxDuration !== undefined ? options.maxDuration : Infinity;
+  this.maxRuntime  = options.maxRuntime !== undefined ? options.maxRuntime : Infinity;
+  this.fence       = options.fence && _.defaults({}, options.fence, {
+    minX: -Infinity, maxX: Infinity, minY: -Infinity, maxY: Infinity
+  });
+  this.runtime = 0; //[seconds] of the commands so far
+}
+
+/**
+ * Limits for young programmers: half speed, moves of up to a meter (which
+ * takes about 26 s at half speed), five minutes in all. Add a fence to fit
+ * your classroom.
+ */
+SafetyPolicy.PRESETS = {
+  beginner: {maxSpeed: 50, maxDistance: 1, maxDuration: 30, maxRuntime: 300}
+}
+
+/**
+ * Starts counting the runtime again.
+ */
+SafetyPolicy.prototype.reset = function(){
+  this.runtime = 0;
+}
+
+/**
+ * @returns {SafetyPolicy} with the same limits and runtime, e.g. for planning
+ */
+SafetyPolicy.prototype.clone = function(){
+  var policy = new SafetyPolicy(this);
+  policy.runtime = this.runtime;
+  return policy;
+}
+
+/**
+ * @param {number} speed [0..100] asked for
+ * @returns {number} speed within maxSpeed
+ */
+SafetyPolicy.prototype.limitSpeed = function(speed){
+  return Math.min(speed, this.maxSpeed);
+}
+
+/**
+ * @param {Packet} packet
+ * @returns {Packet} the packet, or a copy with its power and rotation within
+ *                   maxSpeed
+ */
+SafetyPolicy.prototype.limitPacket = function(packet){
+  var rotation = Math.max(-this.maxSpeed, Math.min(this.maxSpeed, packet.rotation));
+  if(packet.power <= this.maxSpeed && rotation === packet.rotation) return packet;
+
+  var limited = new Packet(packet);
+  limited.power = Math.min(packet.power, this.maxSpeed);
+  limited.rotation = rotation;
+  return limited;
+}
+
+/**
+ * Checks the command which is about to be sent, and counts its time into the
+ * runtime.
+ *
+ * @param {Hexapod} hexapod
+ * @param {object} cmd with its packet in hexapod.currentPacket
+ * @param {number} duration [seconds] of the command
+ * @throws {Error} with 'rule' if the command breaks a limit
+ */
+SafetyPolicy.prototype.check = function(hexapod, cmd, duration){
+  duration = duration > 0 ? duration : 0;
+  var move = predict(hexapod, cmd, duration);
+
+  if(move.distance > this.maxDistance){
+    throw violation('maxDistance', cmd.name + ': walking ' + move.distance.toFixed(2) +
+                    ' m is more than the limit of ' + this.maxDistance + ' m');
+  }
+  if(move.moving && duration > this.maxDuration){
+    throw violation('maxDuration', cmd.name + ': moving for ' + duration.toFixed(1) +
+                    ' s is more than the limit of ' + this.maxDuration + ' s');
+  }
+  if(this.runtime + duration > this.maxRuntime){
+    throw violation('maxRuntime', cmd.name + ': the program would run longer than the limit of ' +
+                    this.maxRuntime + ' s');
+  }
+  if(this.fence && move.moving) this.checkFence(cmd, move.points);
+
+  this.runtime += duration;
+}
+
+/**
+ * @throws {Error} if the points go out of the fence, or further out
+ */
+SafetyPolicy.prototype.checkFence = function(cmd, points){
+  var fence = this.fence;
+  var outside = function(point){ //how far
+    return Math.max(0, fence.minX - point.x, point.x - fence.maxX,
+                       fence.minY - point.y, point.y - fence.maxY);
+  };
+  var start = outside(points[0]);
+  var point = _.find(points, function(point){ return outside(point) > start + 1e-9; });
+  if(point){
+    throw violation('fence', cmd.name + ': the robot would leave the fence at x ' +
+                    point.x.toFixed(2) + ' m, y ' + point.y.toFixed(2) + ' m');
+  }
+}
+
+/**
+ * Works out how the command would move the robot from its tracked pose.
+ *
+ * @returns {object} {moving, distance, points}: moving is true if the robot
+ *                   walks or turns, distance is in meters and points are
+ *                   {x, y} every STEP seconds
+ */
+var predict = function(hexapod, cmd, duration){
+  var pose     = hexapod.getPose();
+  var points   = [_.clone(pose)];
+  var distance = 0;
+  var moving   = false;
+  var period   = cmd.sample ? 1 / hexapod.sendRate : STEP;
+
+  for(var t = 0; t < duration; t += period){
+    var packet = cmd.sample ? cmd.sample(t) : hexapod.currentPacket;
+    var last   = _.clone(pose);
+    moving = moving || packet.onOff && (packet.power > 0 || packet.rotation !== 0);
+    Odometry.integrate(pose, packet, Math.min(period, duration - t), hexapod.calibration);
+    distance += Math.sqrt(Math.pow(pose.x - last.x, 2) + Math.pow(pose.y - last.y, 2));
+    points.push(_.clone(pose));
+  }
+  return {moving: !!moving, distance: distance, points: points};
+}
+
+var violation = function(rule, message){
+  var error = new Error(message);
+  error.rule = rule;
+  return error;
+}
+
+module.exports = SafetyPolicy;
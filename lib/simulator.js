@@ -0,0 +1,226 @@
+/**
+ * Simulator of the STEMI hexapod, for testing programs without the robot.
+ *
+ * It listens for the same traffic Hexapod's transports produce: a stream of
+ * 22 byte 'PKT' frames over TCP, 'GET /send?raw=<base64>' HTTP requests and
+ * binary WebSocket messages (see transports/). All are accepted on the same
+ * port, just like on the robot. Received packets are integrated into
+ * a 2D pose of the robot {x, y, heading} (see odometry.js).
+ *
+ * Example:
+ *
+ *   var Simulator = require('hexapod-js/lib/simulator');
+ *   var sim = new Simulator();
+ *   sim.listen(8080, function(){
+ *     var hexapod = new Hexapod('127.0.0.1', 8080);
+ *     hexapod.goForward(0.5).then(function(){ console.log(sim.getPose()); });
+ *   });
+ */
+
+var net          = require('net');
+var http         = require('http');
+var EventEmitter = require('events').EventEmitter;
+var util         = require('util');
+var log          = require('loglevel');
+var WebSocket    = require('ws');
+var Packet       = require('./packet.js');
+var Calibration  = require('./calibration.js');
+var CustomData   = require('./customdata.js');
+var Odometry     = require('./odometry.js');
+
+var PACKET_LENGTH = 22;
+
+/**
+ * @param {object} [options]
+ * @param {Calibration} [options.calibration] how fast the simulated robot
+ *                                            really walks and turns
+ * @param {number} [options.MAX_SPEED] seconds for 1 m at full power, if
+ *                                     there's no calibration
+ * @param {number} [options.ROTATION_TIME] seconds for 360 deg. turn at full
+ *                                         rotation, if there's no calibration
+ * @param {CustomData|object[]} [options.customData] schema to decode the user
+ *        defined bytes with (see customdata.js)
+ * @param {function} [options.clock] returns current time in ms; Date.now by
+ *                                   default
+ *
+ * Emits:
+ *   packet - {time, transport, packet, pose, custom}; transport is 'tcp',
+ *            'http' or 'websocket'; custom are the decoded user defined
+ *            bytes, if there's options.customData
+ *   invalid - {time, transport, error}; data that couldn't be decoded
+ */
+var Simulator = function(options){
+  EventEmitter.call(this);
+  options = options || {};
+  this.calibration = options.calibration || new Calibration({
+    MAX_SPEED: options.MAX_SPEED,
+    ROTATION_TIME: options.ROTATION_TIME
+  });
+  this.customData = options.customData instanceof CustomData || !options.customData ?
+                    options.customData : new CustomData(options.customData);
+  this.clock = options.clock || Date.now;
+  this.odometry = new Odometry(this.calibration, {clock: this.clock});
+  this.history = [];
+  this.sockets = []; //of the connected clients, closed by close()
+  this.reset();
+
+  var self = this;
+  this.httpServer = http.createServer(function(request, response){
+    self.handleRequest(request, response);
+  });
+  this.webSocketServer = new WebSocket.Server({noServer: true});
+  this.httpServer.on('upgrade', function(request, socket, head){
+    self.webSocketServer.handleUpgrade(request, socket, head, function(client){
+      client.on('message', function(data){ self.receive(Buffer.from(data), 'websocket'); });
+    });
+  });
+  this.server = net.createServer(function(socket){
+    self.handleConnection(socket);
+  });
+}
+
+util.inherits(Simulator, EventEmitter);
+
+/**
+ * Puts the robot back to the origin and forgets the received packets.
+ */
+Simulator.prototype.reset = function(){
+  this.odometry.reset(undefined, this.clock());
+  this.history = [];
+}
+
+/**
+ * Same arguments as net.Server.listen().
+ */
+Simulator.prototype.listen = function(){
+  this.server.listen.apply(this.server, arguments);
+  return this;
+}
+
+Simulator.prototype.address = function(){
+  return this.server.address();
+}
+
+/**
+ * Stops listening and drops the connected clients, without waiting for them
+ * to disconnect.
+ *
+ * @param {function} [callback] called when the server is closed
+ */
+Simulator.prototype.close = function(callback){
+  this.webSocketServer.clients.forEach(function(client){ client.terminate(); });
+  this.sockets.forEach(function(socket){ socket.destroy(); });
+  this.sockets = [];
+  this.server.close(callback);
+}
+
+/**
+ * Decides by the first bytes whether the client streams packets or speaks
+ * HTTP (WebSocket starts as HTTP), since the robot serves all on the same port.
+ */
+Simulator.prototype.handleConnection = function(socket){
+  var self = this;
+  this.sockets.push(socket);
+  socket.on('close', function(){
+    var index = self.sockets.indexOf(socket);
+    if(index >= 0) self.sockets.splice(index, 1);
+  });
+  socket.once('data', function(data){
+    if(data.slice(0, 3).toString() === 'PKT'){
+      var pending = self.readFrames(data);
+      socket.on('data', function(data){
+        pending = self.readFrames(Buffer.concat([pending, data]));
+      });
+    } else {
+      socket.pause();
+      socket.unshift(data);
+      self.httpServer.emit('connection', socket);
+      socket.resume();
+    }
+  });
+  socket.on('error', function(error){
+    log.debug('Simulator: ' + error.message);
+  });
+}
+
+/**
+ * Takes whole frames from the TCP stream and returns the leftover bytes.
+ */
+Simulator.prototype.readFrames = function(data){
+  var start = data.indexOf('PKT');
+  if(start < 0) return data.slice(Math.max(0, data.length - 2));
+
+  while(start >= 0 && data.length - start >= PACKET_LENGTH){
+    this.receive(data.slice(start, start + PACKET_LENGTH), 'tcp');
+    data = data.slice(start + PACKET_LENGTH);
+    start = data.indexOf('PKT');
+  }
+  return start < 0 ? data.slice(Math.max(0, data.length - 2)) : data.slice(start);
+}
+
+Simulator.prototype.handleRequest = function(request, response){
+  var match = /^\/send\?(?:.*&)?raw=([^&]*)/.exec(request.url);
+  if(!match){
+    response.writeHead(404);
+    response.end();
+    return;
+  }
+
+  var packet = this.receive(Buffer.from(decodeURIComponent(match[1]), 'base64'), 'http');
+  response.writeHead(packet ? 200 : 400, {
+    'Content-Type': 'text/plain',
+    'Access-Control-Allow-Origin': '*' // web pages can send to it, see discovery.js
+  });
+  response.end(packet ? 'OK' : 'Invalid packet');
+}
+
+/**
+ * Decodes one frame and makes the robot execute it.
+ *
+ * @param {Buffer} buffer 22 bytes, as made by Packet.prototype.getBuffer
+ * @param {string} transport 'tcp', 'http' or 'websocket'
+ * @returns {Packet} undefined if the frame is invalid
+ */
+Simulator.prototype.receive = function(buffer, transport){
+  var time = this.clock();
+  var packet;
+  try {
+    packet = Packet.fromBuffer(buffer);
+  } catch(error) {
+    log.debug('Simulator: ' + error.message);
+    this.emit('invalid', {time: time, transport: transport, error: error});
+    return undefined;
+  }
+
+  this.odometry.receive(packet, time);
+
+  var entry = {time: time, transport: transport, packet: packet, pose: this.odometry.getPose(time)};
+  if(this.customData) entry.custom = this.customData.decode(packet.slidersArray);
+  this.history.push(entry);
+  this.emit('packet', entry);
+  return packet;
+}
+
+/**
+ * @returns {object} {x, y, heading} at the current time
+ */
+Simulator.prototype.getPose = function(){
+  return this.odometry.getPose(this.clock());
+}
+
+/**
+ * @returns {Array} {x, y, heading, time} points the robot went through
+ */
+Simulator.prototype.getPath = function(){
+  return this.odometry.getPath(this.clock());
+}
+
+/**
+ * @returns {Array} {time, transport, packet, pose, custom} entries, oldest first;
+ *                  pose is the one at the time the packet was received
+ */
+Simulator.prototype.getHistory = function(){
+  return this.history.slice();
+}
+
+module.exports = Simulator;
@@ -0,0 +1,222 @@
+/**
+ * Telemetry parses what the robot sends back: the bytes of the TCP and
+ * WebSocket streams and the bodies of the HTTP responses (the transports'
+ * 'data' events). Incoming data is cut into frames and decoded into messages
+ * {type, values}, whose values are kept in a snapshot of the robot's state.
+ *
+ * Formats are handled by decoders, tried in order until one recognizes the
+ * data. The built-in ones:
+ *
+ *   text   - lines of text; a whole HTTP response is one line:
+ *              'OK'         -> 'ack' {ack: true}
+ *              'ERR <text>' -> 'ack' {ack: false, error: text}
+ *              {...}        -> 'status' with the JSON object's fields
+ *              other        -> 'text' {text}
+ *   status - 12 byte binary frame, in the style of the packets the robot gets
+ *            (see Packet.prototype.getBuffer):
+ *              'TEL' (3 bytes), battery [0..100 %; 255 unknown] (1 byte),
+ *              state (1 byte, index into Telemetry.STATES),
+ *              user defined bytes (7 bytes, decoded with options.customData)
+ *            gives 'battery', 'state' and 'custom' messages
+ *
+ * Both formats are assumptions, not taken from the stock firmware: the 'OK'
+ * and 'ERR' answers are what the simulator sends (see simulator.js), and the
+ * status frame is a proposal for firmware which reports its state. Only the
+ * text decoder is used by default; the status one has to be asked for, so
+ * that other binary data isn't taken for a battery or state reading:
+ *
+ *   new Telemetry({decoders: [Telemetry.decoders.status]})
+ *
+ * Adjust them here, or add a decoder, to match your firmware.
+ *
+ * A decoder is an object:
+ *
+ *   {
+ *     name: 'myFormat',
+ *     // length of the frame at the start of the buffer; 0 if more bytes are
+ *     // needed, -1 if the data isn't in this format. complete is true if no
+ *     // more bytes will follow (e.g. an HTTP response)
+ *     frame: function(buffer, complete){ ... },
+ *     // messages [{type, values}] in the frame
+ *     decode: function(frame, telemetry){ ... }
+ *   }
+ *
+ * Emits:
+ *   message - {type, values, decoder, time}
+ *   unknown - {data, time}; bytes none of the decoders recognized, skipped
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var util         = require('util');
+var _            = require('lodash');
+
+/**
+ * Robot's states, by their number in the status frame.
+ */
+var STATES = ['sleeping', 'standing', 'walking', 'error'];
+
+var STATUS_MAGIC  = 'TEL';
+var STATUS_LENGTH = 12;
+var MAX_BUFFERED  = 1024; //bytes waiting for the rest of a frame
+
+/**
+ * @param {object} [options]
+ * @param {object[]} [options.decoders] tried before the text decoder, e.g.
+ *        Telemetry.decoders.status
+ * @param {CustomData} [options.customData] schema of the user defined bytes
+ *        (see customdata.js)
+ */
+var Telemetry = function(options){
+  EventEmitter.call(this);
+  options = options || {};
+  this.customData = options.customData;
+  this.decoders = (options.decoders || []).concat([textDecoder]);
+  this.snapshot = {updated: undefined}; //values of all the messages so far
+  this.buffer = Buffer.alloc(0);        //stream data which isn't framed yet
+}
+
+util.inherits(Telemetry, EventEmitter);
+
+/**
+ * @param {object} decoder see above; it is tried before the others
+ */
+Telemetry.prototype.addDecoder = function(decoder){
+  this.decoders.unshift(decoder);
+}
+
+/**
+ * Frames and decodes the data.
+ *
+ * @param {Buffer|string} data
+ * @param {boolean} [complete] data is a whole response (HTTP), not a part of
+ *                             a stream; whatever isn't framed is dropped
+ * @param {number} [time] [ms since epoch] Date.now() by default
+ * @returns {object[]} decoded messages
+ */
+Telemetry.prototype.receive = function(data, complete, time){
+  time = time !== undefined ? time : Date.now();
+  var self     = this;
+  var buffer   = Buffer.concat([complete ? Buffer.alloc(0) : this.buffer, Buffer.from(data)]);
+  var messages = [];
+  var skipped  = 0; //bytes at the start of the buffer nobody recognized
+
+  var skip = function(){
+    if(skipped) self.emit('unknown', {data: buffer.slice(0, skipped), time: time});
+    buffer = buffer.slice(skipped);
+    skipped = 0;
+  };
+
+  while(skipped < buffer.length){
+    var found = this.findFrame(buffer.slice(skipped), complete);
+    if(found.length === 0) break;
+    if(found.length < 0){ //resynchronize on the next byte
+      skipped++;
+      continue;
+    }
+    skip();
+    messages = messages.concat(this.decodeFrame(found.decoder, buffer.slice(0, found.length), time));
+    buffer = buffer.slice(found.length);
+  }
+  skip();
+
+  if(complete || buffer.length > MAX_BUFFERED){
+    if(buffer.length) this.emit('unknown', {data: buffer, time: time});
+    buffer = Buffer.alloc(0);
+  }
+  this.buffer = buffer;
+  return messages;
+}
+
+/**
+ * @returns {object} {decoder, length} of the first decoder which recognizes
+ *                   the data; length is -1 if none does
+ */
+Telemetry.prototype.findFrame = function(buffer, complete){
+  for(var i = 0; i < this.decoders.length; i++){
+    var length = this.decoders[i].frame(buffer, !!complete);
+    if(length >= 0) return {decoder: this.decoders[i], length: Math.min(length, buffer.length)};
+  }
+  return {decoder: undefined, length: -1};
+}
+
+Telemetry.prototype.decodeFrame = function(decoder, frame, time){
+  var messages = decoder.decode(frame, this) || [];
+  messages.forEach(function(message){
+    _.assign(this.snapshot, message.values, {updated: time});
+    this.emit('message', {type: message.type, values: message.values, decoder: decoder.name, time: time});
+  }, this);
+  return messages;
+}
+
+/**
+ * Makes a status frame, e.g. for a simulated robot or a test.
+ *
+ * @param {object} values {battery, state, custom}; state is a name from
+ *        Telemetry.STATES, custom the 7 user defined bytes
+ * @returns {Buffer} 12 bytes
+ */
+Telemetry.encodeStatus = function(values){
+  var buffer = Buffer.alloc(STATUS_LENGTH);
+  var state  = STATES.indexOf(values.state);
+  buffer.write(STATUS_MAGIC, 0, 'ascii');
+  buffer.writeUInt8(values.battery !== undefined ? values.battery : 255, 3);
+  buffer.writeUInt8(state >= 0 ? state : 255, 4);
+  Buffer.from(values.custom || [0, 0, 0, 0, 0, 0, 0]).copy(buffer, 5, 0, 7);
+  return buffer;
+}
+
+var statusDecoder = {
+  name: 'status',
+  frame: function(buffer, complete){
+    var head = buffer.slice(0, STATUS_MAGIC.length).toString('ascii');
+    if(STATUS_MAGIC.indexOf(head) !== 0) return -1;
+    if(buffer.length >= STATUS_LENGTH) return STATUS_LENGTH;
+    return complete ? -1 : 0;
+  },
+  decode: function(frame, telemetry){
+    var battery = frame.readUInt8(3);
+    var state   = frame.readUInt8(4);
+    var bytes   = Array.prototype.slice.call(frame.slice(5, STATUS_LENGTH));
+    var custom  = {customBytes: bytes};
+    if(telemetry.customData) custom.custom = telemetry.customData.decode(bytes);
+    return [
+      {type: 'battery', values: {battery: battery === 255 ? undefined : battery}},
+      {type: 'state', values: {state: STATES[state] || state}},
+      {type: 'custom', values: custom}
+    ];
+  }
+}
+
+var isText = function(byte){
+  return byte >= 32 && byte < 127 || byte === 9 || byte === 13 || byte >= 128; //128.. in UTF-8
+}
+
+var textDecoder = {
+  name: 'text',
+  frame: function(buffer, complete){
+    for(var i = 0; i < buffer.length; i++){
+      if(buffer[i] === 10) return i + 1;
+      if(!isText(buffer[i])) return -1; //binary data, e.g. a frame of another decoder
+    }
+    return complete ? buffer.length : 0;
+  },
+  decode: function(frame){
+    var line = frame.toString('utf8').trim();
+    if(!line) return [];
+    if(line === 'OK') return [{type: 'ack', values: {ack: true, error: undefined}}];
+    if(/^ERR\b/.test(line)) return [{type: 'ack', values: {ack: false, error: line.slice(3).trim()}}];
+    if(line[0] === '{'){
+      try {
+        return [{type: 'status', values: JSON.parse(line)}];
+      } catch(error) {
+        // not JSON after all, just text
+      }
+    }
+    return [{type: 'text', values: {text: line}}];
+  }
+}
+
+Telemetry.STATES   = STATES;
+Telemetry.decoders = {status: statusDecoder, text: textDecoder};
+
+module.exports = Telemetry;
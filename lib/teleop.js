@@ -0,0 +1,361 @@
+/**
+ * Teleoperation: drives the robot live from the keyboard or a gamepad, over
+ * the stream started by Hexapod.connect(), the way the smartphone app does.
+ *
+ * Inputs are turned into five axes, each in [-1..1]:
+ *
+ *   x     - walk right (+) or left (-)
+ *   y     - walk forward (+) or back (-)
+ *   turn  - rotate clockwise (+) or counterclockwise (-)
+ *   pitch - tilt the body forward (+) or back (-)
+ *   roll  - tilt the body right (+) or left (-)
+ *
+ * The axes ramp towards the input (acceleration going faster, deceleration
+ * slowing down) and are written into hexapod.currentPacket at the stream's
+ * rate. The robot stops by itself when the input is released, the page loses
+ * focus, the gamepad is unplugged or the link drops.
+ *
+ * Example (Node.js):
+ *
+ *   var Teleop = require('hexapod-js/lib/teleop');
+ *   var teleop = new Teleop(new Hexapod('192.168.4.1', 80, {transport: 'tcp'}));
+ *   teleop.attachTerminal(process.stdin).start();
+ *
+ * In the browser, use attachKeyboard(window) and attachGamepad().
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var util         = require('util');
+var _            = require('lodash');
+
+var AXES = ['x', 'y', 'turn', 'pitch', 'roll'];
+
+/**
+ * Default key bindings; names are as in Node's 'keypress' events, browser
+ * KeyboardEvent.key is converted to them (e.g. 'ArrowUp' -> 'up').
+ */
+var KEYS = {
+  w: {y: 1},     up: {y: 1},
+  s: {y: -1},    down: {y: -1},
+  a: {x: -1},
+  d: {x: 1},
+  q: {turn: -1}, left: {turn: -1},
+  e: {turn: 1},  right: {turn: 1},
+  i: {pitch: 1},
+  k: {pitch: -1},
+  j: {roll: -1},
+  l: {roll: 1}
+}
+
+/**
+ * @param {Hexapod} hexapod robot to drive; its transport should be a
+ *                          streaming one ('tcp' or 'websocket')
+ * @param {object} [options]
+ * @param {number} [options.maxPower] [0..100] power at full input; 100 by
+ *                                    default
+ * @param {number} [options.maxRotation] [0..100] 100 by default
+ * @param {number} [options.maxTilt] [0..40] accX/accY at full tilt; 30 by
+ *                                   default
+ * @param {number} [options.acceleration] [1/s] how fast the axes grow; 2 by
+ *                                        default, i.e. 0.5 s to full speed
+ * @param {number} [options.deceleration] [1/s] how fast they shrink; 5 by
+ *                                        default
+ * @param {number} [options.deadzone] [0..1] gamepad stick values below this
+ *                                    are ignored; 0.15 by default
+ * @param {number} [options.keyTimeout] [ms] a key is considered released if
+ *                                      it doesn't repeat for this long (only
+ *                                      for the terminal, which has no key up
+ *                                      events); 600 by default
+ * @param {object} [options.keys] key bindings, see KEYS
+ *
+ * Emits:
+ *   autoStop - {reason, time}; reason is 'blur', 'hidden', 'gamepad',
+ *              'linkLost' or 'stop' (space key)
+ */
+var Teleop = function(hexapod, options){
+  EventEmitter.call(this);
+  options = options || {};
+  this.hexapod = hexapod;
+  this.maxPower = options.maxPower !== undefined ? options.maxPower : 100;
+  this.maxRotation = options.maxRotation !== undefined ? options.maxRotation : 100;
+  this.maxTilt = options.maxTilt !== undefined ? options.maxTilt : 30;
+  this.acceleration = options.acceleration || 2;
+  this.deceleration = options.deceleration || 5;
+  this.deadzone = options.deadzone !== undefined ? options.deadzone : 0.15;
+  this.keyTimeout = options.keyTimeout || 600;
+  this.keys = options.keys || KEYS;
+  this.axes = zero();     //ramped values, as sent to the robot
+  this.inputs = {};       //source name -> axes it asks for
+  this.heldKeys = {};     //key name -> release timer (or true)
+  this.pollers = [];      //called on every tick, e.g. to read a gamepad
+  this.detachers = [];    //remove the input listeners
+  this.timer = undefined;
+  this.pausedQueue = false; //start() paused the hexapod's queue
+
+  var self = this;
+  this.onLinkLost = function(){ self.releaseAll('linkLost'); };
+  this.onEmergencyStop = function(){ self.releaseAll('stop'); };
+}
+
+util.inherits(Teleop, EventEmitter);
+
+Teleop.KEYS = KEYS;
+
+var zero = function(){
+  return {x: 0, y: 0, turn: 0, pitch: 0, roll: 0};
+}
+
+/**
+ * Takes over the robot: pauses its command queue (see Hexapod.pause), opens
+ * the stream and starts driving.
+ *
+ * @returns {Promise} resolved when the link is up
+ */
+Teleop.prototype.start = function(){
+  var self    = this;
+  var hexapod = this.hexapod;
+  if(this.timer) return Promise.resolve();
+
+  this.pausedQueue = hexapod.pause();
+  this.lastTick = Date.now();
+  this.timer = setInterval(function(){ self.tick(); }, 1000 / hexapod.sendRate);
+  hexapod.on('linkLost', this.onLinkLost);
+  hexapod.on('emergencyStop', this.onEmergencyStop);
+  return hexapod.connect();
+}
+
+/**
+ * Stops the robot and the input listeners, and gives the robot back to its
+ * command queue (resumes it, if start() paused it). The link is left open.
+ */
+Teleop.prototype.stop = function(){
+  var hexapod = this.hexapod;
+  clearInterval(this.timer);
+  this.timer = undefined;
+  this.detachers.forEach(function(detach){ detach(); });
+  this.detachers = [];
+  this.pollers = [];
+  _.forEach(this.heldKeys, function(timer){ clearTimeout(timer); });
+  this.heldKeys = {};
+  this.inputs = {};
+  this.axes = zero();
+  hexapod.removeListener('linkLost', this.onLinkLost);
+  hexapod.removeListener('emergencyStop', this.onEmergencyStop);
+
+  hexapod.currentPacket = hexapod.createPacket();
+  if(this.pausedQueue) hexapod.resume();
+  this.pausedQueue = false;
+}
+
+/**
+ * Sets the axes an input source asks for. Inputs of all the sources are
+ * added up.
+ *
+ * @param {string} source e.g. 'keyboard' or 'gamepad'
+ * @param {object} axes {x, y, turn, pitch, roll}, any of them
+ */
+Teleop.prototype.setInput = function(source, axes){
+  this.inputs[source] = axes;
+}
+
+/**
+ * Drops all the input at once and stops the robot without ramping.
+ *
+ * @param {string} reason passed on with the 'autoStop' event
+ */
+Teleop.prototype.releaseAll = function(reason){
+  _.forEach(this.heldKeys, function(timer){ clearTimeout(timer); });
+  this.heldKeys = {};
+  this.inputs = {};
+  this.axes = zero();
+  if(this.timer) this.apply();
+  this.emit('autoStop', {reason: reason, time: Date.now()});
+}
+
+/**
+ * Moves the axes towards the input and updates the robot's packet.
+ */
+Teleop.prototype.tick = function(){
+  var now = Date.now();
+  var dt  = (now - this.lastTick) / 1000;
+  var self = this;
+  this.lastTick = now;
+  this.pollers.forEach(function(poll){ poll(); });
+
+  var target = zero();
+  _.forEach(this.inputs, function(axes){
+    AXES.forEach(function(axis){ target[axis] += axes[axis] || 0; });
+  });
+
+  AXES.forEach(function(axis){
+    var goal    = Math.max(-1, Math.min(1, target[axis]));
+    var current = self.axes[axis];
+    var growing = Math.abs(goal) > Math.abs(current) && goal * current >= 0;
+    var step    = (growing ? self.acceleration : self.deceleration) * dt;
+    self.axes[axis] = current + Math.max(-step, Math.min(step, goal - current));
+  });
+  this.apply();
+}
+
+/**
+ * Writes the axes into hexapod.currentPacket, which connect() streams. Each
+ * packet lasts for two send periods, so the robot stops soon after the
+ * packets stop coming.
+ */
+Teleop.prototype.apply = function(){
+  var axes = this.axes;
+  var parameters = {
+    power: Math.round(Math.min(1, Math.sqrt(axes.x*axes.x + axes.y*axes.y)) * this.maxPower),
+    angle: Math.round(Math.atan2(axes.x, axes.y) * 180/Math.PI),
+    rotation: Math.round(axes.turn * this.maxRotation),
+    duration: Math.ceil(2 * 50 / this.hexapod.sendRate)
+  };
+  if(parameters.power === 0) parameters.angle = 0;
+  if(Math.round(axes.pitch * this.maxTilt) || Math.round(axes.roll * this.maxTilt)){
+    parameters.staticTilt = 1;
+    parameters.accX = Math.round(-axes.pitch * this.maxTilt);
+    parameters.accY = Math.round(axes.roll * this.maxTilt);
+  }
+  this.hexapod.currentPacket = this.hexapod.createPacket(parameters);
+}
+
+/**
+ * Turns the held keys into the 'keyboard' input.
+ */
+Teleop.prototype.updateKeys = function(){
+  var axes = zero();
+  var keys = this.keys;
+  _.forEach(this.heldKeys, function(timer, name){
+    AXES.forEach(function(axis){ axes[axis] += keys[name][axis] || 0; });
+  });
+  this.setInput('keyboard', axes);
+}
+
+Teleop.prototype.keyDown = function(name, timeout){
+  var self = this;
+  if(name === 'space') return this.releaseAll('stop');
+  if(!this.keys[name]) return false;
+
+  clearTimeout(this.heldKeys[name]);
+  this.heldKeys[name] = timeout ? setTimeout(function(){ self.keyUp(name); }, timeout) : true;
+  this.updateKeys();
+  return true;
+}
+
+Teleop.prototype.keyUp = function(name){
+  if(!this.heldKeys[name]) return;
+  clearTimeout(this.heldKeys[name]);
+  delete this.heldKeys[name];
+  this.updateKeys();
+}
+
+/**
+ * Reads the keys from a terminal (Node.js only). The terminal is put into raw
+ * mode, so Ctrl-C doesn't interrupt the process any more; listen to
+ * 'keypress' on the stream to handle it.
+ *
+ * @param {stream.Readable} input e.g. process.stdin
+ * @returns {Teleop} this
+ */
+Teleop.prototype.attachTerminal = function(input){
+  var self = this;
+  var onKeypress = function(text, key){
+    if(key) self.keyDown(key.name, self.keyTimeout);
+  };
+  require('readline').emitKeypressEvents(input);
+  if(input.isTTY) input.setRawMode(true);
+  input.on('keypress', onKeypress);
+  input.resume();
+
+  this.detachers.push(function(){
+    input.removeListener('keypress', onKeypress);
+    if(input.isTTY) input.setRawMode(false);
+    input.pause();
+  });
+  return this;
+}
+
+/**
+ * Reads the keys in the web browser. Keys typed into form fields are left
+ * alone.
+ *
+ * @param {EventTarget} [target] window by default
+ * @returns {Teleop} this
+ */
+Teleop.prototype.attachKeyboard = function(target){
+  var self = this;
+  target = target || window;
+
+  var name = function(event){
+    var key = event.key === ' ' ? 'space' : String(event.key).toLowerCase();
+    return key.replace(/^arrow/, '');
+  };
+  var editing = function(event){
+    return event.target && /^(INPUT|TEXTAREA|SELECT)$/.test(event.target.tagName);
+  };
+  var listeners = {
+    keydown: function(event){
+      if(!editing(event) && self.keyDown(name(event)) !== false) event.preventDefault();
+    },
+    keyup: function(event){ self.keyUp(name(event)); },
+    blur: function(){ self.releaseAll('blur'); },
+    visibilitychange: function(){
+      if(target.document && target.document.hidden) self.releaseAll('hidden');
+    }
+  };
+
+  _.forEach(listeners, function(listener, type){
+    (type === 'visibilitychange' && target.document || target).addEventListener(type, listener);
+  });
+  this.detachers.push(function(){
+    _.forEach(listeners, function(listener, type){
+      (type === 'visibilitychange' && target.document || target).removeEventListener(type, listener);
+    });
+  });
+  return this;
+}
+
+/**
+ * Reads a gamepad with the browser's Gamepad API (standard mapping): the left
+ * stick walks, the right stick turns, or tilts the body while the left
+ * shoulder button is held.
+ *
+ * @param {number} [index] of the gamepad; 0 by default
+ * @param {object} [navigator] provides getGamepads(); the browser's navigator
+ *                             by default
+ * @returns {Teleop} this
+ */
+Teleop.prototype.attachGamepad = function(index, navigator){
+  var self = this;
+  var connected = false;
+  index = index || 0;
+  navigator = navigator || global.navigator;
+
+  var stick = function(value){
+    if(Math.abs(value) < self.deadzone) return 0;
+    return (value - (value > 0 ? self.deadzone : -self.deadzone)) / (1 - self.deadzone);
+  };
+
+  this.pollers.push(function(){
+    var gamepad = navigator.getGamepads()[index];
+    if(!gamepad || !gamepad.connected){
+      if(connected) self.releaseAll('gamepad');
+      connected = false;
+      return;
+    }
+    connected = true;
+
+    var axes = gamepad.axes;
+    var tilting = gamepad.buttons[4] && gamepad.buttons[4].pressed;
+    self.setInput('gamepad', {
+      x: stick(axes[0]),
+      y: -stick(axes[1]),
+      turn: tilting ? 0 : stick(axes[2]),
+      roll: tilting ? stick(axes[2]) : 0,
+      pitch: tilting ? -stick(axes[3]) : 0
+    });
+  });
+  return this;
+}
+
+module.exports = Teleop;
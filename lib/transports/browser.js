@@ -0,0 +1,34 @@
+/**
+ * Transports available in the web browser, which can't open raw TCP sockets.
+ * Replaces index.js in the browser build (see 'browser' in package.json), so
+ * it has the same exports.
+ */
+
+var XhrTransport       = require('./xhr.js');
+var WebSocketTransport = require('./websocket.js');
+var DryRunTransport    = require('./dryrun.js');
+
+var transports = {
+  http: XhrTransport,
+  websocket: WebSocketTransport,
+  'dry-run': DryRunTransport
+}
+
+/**
+ * @see index.js
+ */
+var create = function(transport, ip, port, options){
+  if(transport && typeof transport === 'object') return transport;
+
+  var Transport = transports[transport || 'http'];
+  if(!Transport){
+    throw new Error('Transport \'' + transport + '\' is not available in the browser;' +
+                    ' expected one of: ' + Object.keys(transports).join(', '));
+  }
+  return new Transport(ip, port, options);
+}
+
+exports.create             = create;
+exports.HttpTransport      = XhrTransport;
+exports.WebSocketTransport = WebSocketTransport;
+exports.DryRunTransport    = DryRunTransport;
@@ -0,0 +1,39 @@
+/**
+ * Goes through all the motions of sending a packet, without sending anything.
+ * Packets are still encoded, so invalid ones are rejected just like with the
+ * other transports. Useful for trying programs out; listen to Hexapod's
+ * 'packetSent' event to see what would have been sent.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var util         = require('util');
+
+var DryRunTransport = function(ip, port, options){
+  EventEmitter.call(this);
+  this.name = 'dry-run';
+  this.streaming = false;
+  this.connected = true;
+  this.ip = ip;
+  this.port = port;
+}
+
+util.inherits(DryRunTransport, EventEmitter);
+
+DryRunTransport.prototype.open = function(){
+  return Promise.resolve();
+}
+
+DryRunTransport.prototype.close = function(){
+  return Promise.resolve();
+}
+
+DryRunTransport.prototype.send = function(packet){
+  try {
+    packet.getBuffer();
+  } catch(error) {
+    return Promise.reject(error);
+  }
+  return Promise.resolve();
+}
+
+module.exports = DryRunTransport;
@@ -0,0 +1,57 @@
+/**
+ * Sends every packet as a separate 'GET /send?raw=<base64>' request.
+ * There is no persistent link, so the transport is always "connected".
+ */
+
+var http         = require('http');
+var EventEmitter = require('events').EventEmitter;
+var util         = require('util');
+var log          = require('loglevel');
+
+var HttpTransport = function(ip, port, options){
+  EventEmitter.call(this);
+  this.name = 'http';
+  this.streaming = false;
+  this.connected = true;
+  this.ip = ip;
+  this.port = port;
+}
+
+util.inherits(HttpTransport, EventEmitter);
+
+HttpTransport.prototype.open = function(){
+  return Promise.resolve();
+}
+
+HttpTransport.prototype.close = function(){
+  return Promise.resolve();
+}
+
+HttpTransport.prototype.send = function(packet){
+  var self = this;
+  return new Promise(function(resolve, reject){
+    var packetB64 = packet.getBuffer().toString('base64');
+    var url = 'http://' + self.ip + ':' + self.port + '/send?raw=' + packetB64;
+    var options = {
+      hostname: self.ip,
+      port: self.port,
+      path: '/send?raw=' + packetB64,
+      agent: false
+    }
+
+    http.get(options, function(response){
+      log.debug('GET ' + url);
+      var chunks = [];
+      response.on('data', function(chunk){ chunks.push(chunk); });
+      response.on('end', function(){
+        if(chunks.length) self.emit('data', Buffer.concat(chunks));
+      });
+      resolve();
+    }).on('error', function(error){
+      log.debug('HTTP error: ' + error.message);
+      reject(error);
+    });
+  });
+}
+
+module.exports = HttpTransport;
@@ -0,0 +1,53 @@
+/**
+ * Transports deliver Packets to the robot. All of them share the same
+ * interface, so Hexapod doesn't care how the bytes get there:
+ *
+ *   new Transport(ip, port, options)
+ *   transport.name      - 'tcp', 'http', 'websocket' or 'dry-run'
+ *   transport.streaming - true if the transport keeps a persistent link
+ *   transport.connected - true while the link is up
+ *   transport.open()    - opens the link; returns a Promise
+ *   transport.close()   - closes the link; returns a Promise
+ *   transport.send(packet) - returns a Promise resolved when the packet is
+ *                            delivered, rejected if it can't be
+ *
+ * Transports are EventEmitters with 'open', 'close', 'error' and 'data'
+ * events; 'data' carries whatever the robot sends back, as a Buffer.
+ */
+
+var TcpTransport       = require('./tcp.js');
+var HttpTransport      = require('./http.js');
+var WebSocketTransport = require('./websocket.js');
+var DryRunTransport    = require('./dryrun.js');
+
+var transports = {
+  tcp: TcpTransport,
+  http: HttpTransport,
+  websocket: WebSocketTransport,
+  'dry-run': DryRunTransport
+}
+
+/**
+ * @param {string|object} transport name of the transport, or a transport
+ *                                  instance which is returned as is
+ * @param {string} ip
+ * @param {number} port
+ * @param {object} [options] passed to the transport's constructor
+ * @returns {object} transport
+ */
+var create = function(transport, ip, port, options){
+  if(transport && typeof transport === 'object') return transport;
+
+  var Transport = transports[transport || 'http'];
+  if(!Transport){
+    throw new Error('Unknown transport \'' + transport + '\'; expected one of: ' +
+                    Object.keys(transports).join(', '));
+  }
+  return new Transport(ip, port, options);
+}
+
+exports.create             = create;
+exports.TcpTransport       = TcpTransport;
+exports.HttpTransport      = HttpTransport;
+exports.WebSocketTransport = WebSocketTransport;
+exports.DryRunTransport    = DryRunTransport;
@@ -0,0 +1,239 @@
+/**
+ * Writes packets to a persistent TCP connection, the way the smartphone app
+ * talks to the robot.
+ *
+ * The link is watched all the time: if it drops, the transport reconnects
+ * with exponential backoff, and if frames stop getting through (the robot
+ * walked out of WiFi range) the link is considered stale and is torn down and
+ * reconnected. A write succeeds as soon as the frame is in the operating
+ * system's send buffer, so what counts is the robot's answers: once the robot
+ * has sent something back on the link (anything, see telemetry.js), it is
+ * expected to keep answering the frames, and staleTimeout without an answer
+ * makes the link stale. A robot which never answers is only noticed when the
+ * send buffer fills up and frames can't be written for staleTimeout, which
+ * over a dead WiFi link takes a while longer.
+ *
+ * Health of the link is kept in transport.linkQuality:
+ *
+ *   latency      - [ms] average time from writing a frame to the robot's
+ *                  next answer; 0 if the robot doesn't answer
+ *   sent         - number of frames written
+ *   dropped      - number of frames which couldn't be sent (link down,
+ *                  congested or write error)
+ *   reconnects   - number of successful reconnections
+ *   lastSent     - [ms since epoch] time of the last written frame
+ *   lastReceived - [ms since epoch] time the robot last sent something; 0 if
+ *                  it never did
+ *
+ * Besides the usual transport events, emits:
+ *   reconnecting - {attempt, delay}; delay in ms until the next attempt
+ *   reconnect    - link is back up after an outage (also emits 'open')
+ *   stale        - frames aren't getting through; the link will be reset
+ */
+
+var Socket       = require('net').Socket;
+var EventEmitter = require('events').EventEmitter;
+var util         = require('util');
+var log          = require('loglevel');
+
+/**
+ * @param {string} ip
+ * @param {number} port
+ * @param {object} [options]
+ * @param {number} [options.connectTimeout] [ms] 5000 by default
+ * @param {boolean} [options.reconnect] reconnect when the link drops; true by
+ *                                      default
+ * @param {number} [options.reconnectDelay] [ms] delay before the first
+ *                                          reconnection attempt; 500 by default
+ * @param {number} [options.maxReconnectDelay] [ms] 10000 by default
+ * @param {number} [options.staleTimeout] [ms] how long the robot may go
+ *                                        without answering, or a frame may
+ *                                        wait to be written, before the link
+ *                                        is considered stale; 2000 by default
+ * @param {number} [options.maxPending] frames waiting to be written before new
+ *                                      ones are dropped; 5 by default
+ */
+var TcpTransport = function(ip, port, options){
+  EventEmitter.call(this);
+  options = options || {};
+  this.name = 'tcp';
+  this.streaming = true;
+  this.connected = false;
+  this.ip = ip;
+  this.port = port;
+  this.connectTimeout = options.connectTimeout || 5000;
+  this.reconnect = options.reconnect !== false;
+  this.reconnectDelay = options.reconnectDelay || 500;
+  this.maxReconnectDelay = options.maxReconnectDelay || 10000;
+  this.staleTimeout = options.staleTimeout || 2000;
+  this.maxPending = options.maxPending || 5;
+  this.socket = undefined;
+  this.closing = false;          //close() was called, don't reconnect
+  this.attempt = 0;              //reconnection attempts since the outage
+  this.reconnectTimer = undefined;
+  this.staleChecker = undefined;
+  this.pending = [];             //times of the frames waiting to be written
+  this.answering = false;        //robot has answered on this connection
+  this.unanswered = undefined;   //time of the first frame written since its last answer
+  this.linkQuality = {latency: 0, sent: 0, dropped: 0, reconnects: 0, lastSent: 0, lastReceived: 0};
+}
+
+util.inherits(TcpTransport, EventEmitter);
+
+TcpTransport.prototype.open = function(){
+  this.closing = false;
+  if(this.socket) return Promise.resolve();
+
+  var self = this;
+  return new Promise(function(resolve, reject){
+    var socket = self.socket = new Socket();
+    var opened = false;
+    socket.setTimeout(self.connectTimeout);
+    socket.on('data', function(data){
+      self.received();
+      self.emit('data', data);
+    });
+
+    var connectError = function(error){
+      error = error || new Error('TCP socket timeout');
+      if(opened){
+        log.error('TCP link error (' + self.ip + ':' + self.port + '): ' + error.message);
+      } else {
+        log.error('Can\'t connect to TCP socket. (' + self.ip + ':' + self.port +')');
+      }
+      socket.destroy();
+      self.emit('error', error);
+      reject(error);
+    }
+    socket.on('timeout', connectError);
+    socket.on('error', connectError);
+    socket.on('connect', function(){
+      opened = true;
+      socket.setTimeout(0);
+      socket.setKeepAlive(true, 1000);
+      self.connected = true;
+      self.pending = [];
+      self.answering = false;
+      self.unanswered = undefined;
+      self.staleChecker = setInterval(function(){ self.checkStale(); }, self.staleTimeout/4);
+      if(self.attempt > 0){
+        self.attempt = 0;
+        self.linkQuality.reconnects++;
+        self.emit('open');
+        self.emit('reconnect');
+      } else {
+        self.emit('open');
+      }
+      resolve();
+    });
+    socket.on('close', function(){
+      clearInterval(self.staleChecker);
+      if(self.socket === socket) self.socket = undefined;
+      if(self.connected){
+        self.connected = false;
+        self.emit('close');
+      }
+      if(!self.closing) self.scheduleReconnect();
+    });
+
+    socket.connect(self.port, self.ip);
+  });
+}
+
+/**
+ * Tries to open the link again after a delay, which doubles with every
+ * failed attempt up to maxReconnectDelay.
+ */
+TcpTransport.prototype.scheduleReconnect = function(){
+  if(!this.reconnect || this.reconnectTimer) return;
+
+  var self  = this;
+  var delay = Math.min(this.reconnectDelay * Math.pow(2, this.attempt), this.maxReconnectDelay);
+  this.attempt++;
+  log.debug('TCP reconnect attempt ' + this.attempt + ' in ' + delay + ' ms');
+  this.emit('reconnecting', {attempt: this.attempt, delay: delay});
+  this.reconnectTimer = setTimeout(function(){
+    self.reconnectTimer = undefined;
+    self.open().catch(function(){}); // next attempt is scheduled on 'close'
+  }, delay);
+}
+
+/**
+ * Measures the round trip when the robot answers.
+ */
+TcpTransport.prototype.received = function(){
+  var quality = this.linkQuality;
+  quality.lastReceived = Date.now();
+  if(this.unanswered !== undefined){
+    var latency = quality.lastReceived - this.unanswered;
+    quality.latency = this.answering ? 0.9*quality.latency + 0.1*latency : latency;
+  }
+  this.answering = true;
+  this.unanswered = undefined;
+}
+
+/**
+ * Resets the link if the robot, which answers, hasn't answered the frames
+ * for staleTimeout, or if the oldest frame has been waiting to be written
+ * longer than that.
+ */
+TcpTransport.prototype.checkStale = function(){
+  var now     = Date.now();
+  var silent  = this.answering && this.unanswered !== undefined &&
+                now - this.unanswered > this.staleTimeout;
+  var backlog = this.pending.length && now - this.pending[0] > this.staleTimeout;
+  if(this.socket && (silent || backlog)){
+    log.error('TCP link is stale (' + this.ip + ':' + this.port + ')');
+    this.emit('stale');
+    this.socket.destroy();
+  }
+}
+
+TcpTransport.prototype.close = function(){
+  var socket = this.socket;
+  this.closing = true;
+  clearTimeout(this.reconnectTimer);
+  this.reconnectTimer = undefined;
+  this.attempt = 0;
+  if(!socket) return Promise.resolve();
+
+  return new Promise(function(resolve){
+    socket.once('close', function(){ resolve(); });
+    socket.end();
+  });
+}
+
+TcpTransport.prototype.send = function(packet){
+  var self   = this;
+  var socket = this.socket;
+  if(!this.connected){
+    this.linkQuality.dropped++;
+    return Promise.reject(new Error('TCP socket is not connected'));
+  }
+  if(this.pending.length >= this.maxPending){
+    this.linkQuality.dropped++;
+    return Promise.reject(new Error('TCP link is congested; frame dropped'));
+  }
+
+  return new Promise(function(resolve, reject){
+    var buffer  = packet.getBuffer();
+    var start   = Date.now();
+    var pending = self.pending; //replaced on reconnect
+    pending.push(start);
+    socket.write(buffer, function(error){
+      pending.shift();
+      if(error){
+        self.linkQuality.dropped++;
+        reject(error);
+        return;
+      }
+      var quality = self.linkQuality;
+      quality.lastSent = Date.now();
+      quality.sent++;
+      if(self.unanswered === undefined) self.unanswered = start;
+      resolve();
+    });
+  });
+}
+
+module.exports = TcpTransport;
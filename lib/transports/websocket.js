@@ -0,0 +1,99 @@
+/**
+ * Sends packets as binary WebSocket messages. Uses the browser's WebSocket if
+ * there is one, or the 'ws' package in Node.js.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var util         = require('util');
+var log          = require('loglevel');
+
+/**
+ * @param {string} ip
+ * @param {number} port
+ * @param {object} [options]
+ * @param {string} [options.path] '/' by default
+ */
+var WebSocketTransport = function(ip, port, options){
+  EventEmitter.call(this);
+  options = options || {};
+  this.name = 'websocket';
+  this.streaming = true;
+  this.connected = false;
+  this.ip = ip;
+  this.port = port;
+  this.path = options.path || '/';
+  this.socket = undefined;
+}
+
+util.inherits(WebSocketTransport, EventEmitter);
+
+WebSocketTransport.prototype.url = function(){
+  return 'ws://' + this.ip + ':' + this.port + this.path;
+}
+
+WebSocketTransport.prototype.open = function(){
+  if(this.socket) return Promise.resolve();
+
+  var self = this;
+  return new Promise(function(resolve, reject){
+    var native = typeof WebSocket !== 'undefined';
+    var Impl   = native ? WebSocket : require('ws');
+    var socket = self.socket = new Impl(self.url());
+    socket.binaryType = 'arraybuffer';
+    socket.native = native;
+
+    socket.onopen = function(){
+      self.connected = true;
+      self.emit('open');
+      resolve();
+    }
+    socket.onerror = function(event){
+      var error = event.error || new Error('WebSocket error (' + self.url() + ')');
+      log.error('WebSocket error. (' + self.url() + ')');
+      self.emit('error', error);
+      if(!self.connected) reject(error);
+    }
+    socket.onclose = function(){
+      if(self.socket === socket) self.socket = undefined;
+      if(self.connected){
+        self.connected = false;
+        self.emit('close');
+      }
+    }
+    socket.onmessage = function(event){
+      self.emit('data', Buffer.from(event.data));
+    }
+  });
+}
+
+WebSocketTransport.prototype.close = function(){
+  var socket = this.socket;
+  if(!socket) return Promise.resolve();
+
+  return new Promise(function(resolve){
+    socket.addEventListener('close', function(){ resolve(); });
+    socket.close();
+  });
+}
+
+WebSocketTransport.prototype.send = function(packet){
+  var socket = this.socket;
+  if(!this.connected){
+    return Promise.reject(new Error('WebSocket is not connected'));
+  }
+
+  return new Promise(function(resolve, reject){
+    var buffer = packet.getBuffer();
+    if(socket.native){ //browser's WebSocket has no send callback
+      socket.send(buffer);
+      resolve();
+    } else {
+      socket.send(buffer, function(error){
+        if(error) reject(error);
+        else resolve();
+      });
+    }
+  });
+}
+
+module.exports = WebSocketTransport;
@@ -0,0 +1,55 @@
+/**
+ * Browser version of the HTTP transport (see http.js): sends every packet as
+ * a separate 'GET /send?raw=<base64>' XMLHttpRequest.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+var util         = require('util');
+var log          = require('loglevel');
+
+var XhrTransport = function(ip, port, options){
+  EventEmitter.call(this);
+  options = options || {};
+  this.name = 'http';
+  this.streaming = false;
+  this.connected = true;
+  this.ip = ip;
+  this.port = port;
+  this.timeout = options.timeout || 5000;
+}
+
+util.inherits(XhrTransport, EventEmitter);
+
+XhrTransport.prototype.open = function(){
+  return Promise.resolve();
+}
+
+XhrTransport.prototype.close = function(){
+  return Promise.resolve();
+}
+
+XhrTransport.prototype.send = function(packet){
+  var self = this;
+  return new Promise(function(resolve, reject){
+    var packetB64 = packet.getBuffer().toString('base64');
+    var url = 'http://' + self.ip + ':' + self.port + '/send?raw=' + packetB64;
+    log.debug('Url: ' + url);
+
+    var xmlHttp = new XMLHttpRequest();
+    xmlHttp.timeout = self.timeout;
+    xmlHttp.onload = function(){
+      if(xmlHttp.responseText) self.emit('data', Buffer.from(xmlHttp.responseText));
+      resolve();
+    }
+    xmlHttp.onerror = function(){
+      reject(new Error('HTTP request failed (' + url + ')'));
+    }
+    xmlHttp.ontimeout = function(){
+      reject(new Error('HTTP request timed out (' + url + ')'));
+    }
+    xmlHttp.open('GET', url, true);
+    xmlHttp.send(null);
+  });
+}
+
+module.exports = XhrTransport;
@@ -0,0 +1,140 @@
+var test      = require('node:test');
+var assert    = require('assert');
+var http      = require('http');
+var log       = require('loglevel');
+var discovery = require('../lib/discovery.js');
+var probes    = require('../lib/probes.js');
+var Simulator = require('../lib/simulator.js');
+
+log.setLevel('silent');
+
+/**
+ * Runs the test against a server on a free port, and closes it however the
+ * test ends.
+ *
+ * @param {object} server with listen(), address() and close(callback), e.g.
+ *                 a Simulator
+ * @param {function} body called with the port; returns a Promise
+ */
+var withServer = function(server, body){
+  var close = function(){
+    return new Promise(function(resolve){ server.close(function(){ resolve(); }); });
+  };
+  return new Promise(function(resolve){
+    server.listen(0, '127.0.0.1', resolve);
+  }).then(function(){
+    return body(server.address().port);
+  }).then(close, function(error){
+    return close().then(function(){ throw error; });
+  });
+}
+
+/**
+ * Web server which answers every request with 200 and the body, like a single
+ * page app or a router's admin page.
+ */
+var webServer = function(body){
+  return http.createServer(function(request, response){
+    response.setHeader('Connection', 'close');
+    response.end(body);
+  });
+}
+
+/**
+ * @returns {Promise} resolved with a port nothing listens on
+ */
+var closedPort = function(){
+  var server = http.createServer();
+  return new Promise(function(resolve){
+    server.listen(0, '127.0.0.1', function(){
+      var port = server.address().port;
+      server.close(function(){ resolve(port); });
+    });
+  });
+}
+
+test('hosts() lists the addresses of a subnet', function(){
+  assert.deepStrictEqual(discovery.hosts('10.0.0.0/30'), ['10.0.0.1', '10.0.0.2']);
+  assert.deepStrictEqual(discovery.hosts('10.0.0.5'), ['10.0.0.5']);
+  assert.strictEqual(discovery.hosts('192.168.4.77/24').length, 254);
+  assert.throws(function(){ discovery.hosts('10.0.0.0/33'); }, /invalid subnet/);
+  assert.throws(function(){ discovery.hosts('10.0.0.0/8'); }, /too big/);
+});
+
+test('probes find the simulator', function(){
+  return withServer(new Simulator(), function(port){
+    return Promise.all([
+      probes.probeTcp('127.0.0.1', port, 1000),
+      probes.probeHttp('127.0.0.1', port, 1000, 'OK'),
+      discovery.probe('127.0.0.1', port, {timeout: 1000})
+    ]).then(function(results){
+      assert.strictEqual(results[0].ok, true);
+      assert.strictEqual(results[1].ok, true);
+      assert.strictEqual(results[1].response, 'OK');
+      assert.strictEqual(results[2].robot, true);
+      assert.strictEqual(results[2].tcp, true);
+      assert.strictEqual(results[2].http, true);
+    });
+  });
+});
+
+test('web servers answering 200 are not robots, unless any answer is taken', function(){
+  return withServer(webServer('<html>app</html>'), function(port){
+    return Promise.all([
+      discovery.probe('127.0.0.1', port, {timeout: 1000}),
+      discovery.probe('127.0.0.1', port, {timeout: 1000, answer: null}),
+      discovery.probe('127.0.0.1', port, {timeout: 1000, answer: '<html>app</html>'})
+    ]).then(function(candidates){
+      assert.strictEqual(candidates[0].robot, false);
+      assert.strictEqual(candidates[0].http, true);
+      assert.strictEqual(candidates[0].response, '<html>app</html>');
+      assert.strictEqual(candidates[1].robot, true);
+      assert.strictEqual(candidates[2].robot, true);
+    });
+  });
+});
+
+test('nothing is found on a closed port', function(){
+  return closedPort().then(function(port){
+    return Promise.all([
+      probes.probeTcp('127.0.0.1', port, 1000),
+      probes.probeHttp('127.0.0.1', port, 1000),
+      discovery.probe('127.0.0.1', port, {timeout: 1000})
+    ]);
+  }).then(function(results){
+    assert.strictEqual(results[0].ok, false);
+    assert.strictEqual(results[1].ok, false);
+    assert.strictEqual(results[2], undefined);
+  });
+});
+
+test('scan() puts the robots first', function(){
+  //the whole of 127.0.0.0/8 is the loopback, so the simulator can take the
+  //web server's port on another address
+  var sim      = new Simulator();
+  var found    = [];
+  var progress = [];
+  var closeSim = function(){
+    return new Promise(function(resolve){ sim.close(resolve); });
+  };
+  return withServer(webServer('OK?'), function(port){
+    return new Promise(function(resolve){
+      sim.listen(port, '127.0.0.2', resolve);
+    }).then(function(){
+      return discovery.scan({
+        subnet: '127.0.0.0/30',
+        port: port,
+        timeout: 1000,
+        onCandidate: function(candidate){ found.push(candidate.ip); },
+        onProgress: function(probed, total){ progress.push(probed + '/' + total); }
+      });
+    }).then(function(candidates){
+      assert.deepStrictEqual(candidates.map(function(c){ return [c.ip, c.robot]; }),
+                             [['127.0.0.2', true], ['127.0.0.1', false]]);
+      assert.deepStrictEqual(found.sort(), ['127.0.0.1', '127.0.0.2']);
+      assert.deepStrictEqual(progress, ['1/2', '2/2']);
+    }).then(closeSim, function(error){
+      return closeSim().then(function(){ throw error; });
+    });
+  });
+});
@@ -0,0 +1,121 @@
+var test      = require('node:test');
+var assert    = require('assert');
+var net       = require('net');
+var http      = require('http');
+var log       = require('loglevel');
+var Hexapod   = require('../lib/index.js');
+var Simulator = require('../lib/simulator.js');
+var Odometry  = require('../lib/odometry.js');
+var Packet    = Hexapod.Packet;
+
+log.setLevel('silent');
+
+var TRANSPORTS = ['http', 'tcp', 'websocket'];
+
+/**
+ * Runs the test against a simulator on a free port, and closes it however
+ * the test ends. The simulator's clock is set by the test.
+ *
+ * @param {function} body called with {sim, clock, port}; returns a Promise
+ */
+var withSimulator = function(body){
+  var clock = {now: 1000000};
+  var sim = new Simulator({clock: function(){ return clock.now; }});
+  var close = function(){
+    return new Promise(function(resolve){ sim.close(resolve); });
+  };
+  return new Promise(function(resolve){
+    sim.listen(0, '127.0.0.1', resolve);
+  }).then(function(){
+    return body({sim: sim, clock: clock, port: sim.address().port});
+  }).then(close, function(error){
+    return close().then(function(){ throw error; });
+  });
+}
+
+var nextPacket = function(sim){
+  return new Promise(function(resolve){ sim.once('packet', resolve); });
+}
+
+TRANSPORTS.forEach(function(transport){
+  test('simulator receives the packets sent over ' + transport, function(){
+    var packet = new Packet({power: 70, angle: -90, rotation: -20, duration: 50,
+                             slidersArray: [40, 60, 1, 2, 3, 4, 5, 6, 255]});
+    return withSimulator(function(server){
+      var hexapod  = new Hexapod('127.0.0.1', server.port, {transport: transport});
+      var received = nextPacket(server.sim);
+      var opening  = transport === 'http' ? Promise.resolve() : hexapod.transport.open();
+      return opening.then(function(){
+        return hexapod.transport.send(packet);
+      }).then(function(){
+        return received;
+      }).then(function(entry){
+        assert.strictEqual(entry.transport, transport);
+        assert.deepStrictEqual(entry.packet.getBuffer(), packet.getBuffer());
+        assert.strictEqual(server.sim.getHistory().length, 1);
+      }).then(function(){
+        return hexapod.transport.close();
+      });
+    });
+  });
+});
+
+test('simulator walks the robot by the packets', function(){
+  var packet = new Packet({power: 100, rotation: 30, duration: 50}); //for a second
+  return withSimulator(function(server){
+    var hexapod = new Hexapod('127.0.0.1', server.port);
+    return hexapod.transport.send(packet).then(function(){
+      var expected = {x: 0, y: 0, heading: 0};
+      Odometry.integrate(expected, packet, 1, server.sim.calibration);
+
+      server.clock.now += 1000;
+      var pose = server.sim.getPose();
+      assert.ok(expected.y > 0 && expected.heading > 0);
+      ['x', 'y', 'heading'].forEach(function(name){
+        assert.ok(Math.abs(pose[name] - expected[name]) < 1e-6,
+                  name + ' is ' + pose[name] + ', expected ' + expected[name]);
+      });
+
+      server.clock.now += 2000;
+      assert.deepStrictEqual(server.sim.getPose(), pose, 'stopped when the packet ran out');
+    });
+  });
+});
+
+test('simulator rejects invalid frames', function(){
+  return withSimulator(function(server){
+    var invalid = new Promise(function(resolve){ server.sim.once('invalid', resolve); });
+    var answer  = new Promise(function(resolve, reject){
+      http.get('http://127.0.0.1:' + server.port + '/send?raw=' +
+               Buffer.from('not a packet').toString('base64'), function(response){
+        var body = '';
+        response.on('data', function(chunk){ body += chunk; });
+        response.on('end', function(){ resolve({status: response.statusCode, body: body}); });
+      }).on('error', reject);
+    });
+    return Promise.all([answer, invalid]).then(function(results){
+      assert.strictEqual(results[0].status, 400);
+      assert.strictEqual(results[1].transport, 'http');
+      assert.strictEqual(server.sim.getHistory().length, 0);
+    });
+  });
+});
+
+test('simulator close() drops connected clients', function(){
+  var sim = new Simulator();
+  var socket;
+  return new Promise(function(resolve){
+    sim.listen(0, '127.0.0.1', resolve);
+  }).then(function(){
+    socket = net.connect(sim.address().port, '127.0.0.1');
+    return new Promise(function(resolve){ socket.once('connect', resolve); });
+  }).then(function(){
+    socket.write(new Packet().getBuffer());
+    return nextPacket(sim);
+  }).then(function(){
+    var closing = Date.now();
+    return new Promise(function(resolve){ sim.close(resolve); }).then(function(){
+      assert.ok(Date.now() - closing < 500, 'closed without waiting for the client');
+    });
+  });
+});
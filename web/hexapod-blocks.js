@@ -0,0 +1,492 @@
+/**
+ * Block programming page for the STEMI hexapod (see hexapod-blocks.html).
+ *
+ * Blocks are dragged from the palette into the program (or clicked to add
+ * them at the end); repeat blocks hold other blocks. The program is kept as
+ * a tree of {id, type, values, body} blocks and saved in localStorage, along
+ * with the robot's address. Every change is previewed with hexapod.plan(),
+ * which tells how long the program takes and where the robot ends up.
+ */
+
+(function(){
+  var STORAGE_PROGRAM = 'hexapod-blocks.program';
+  var STORAGE_ROBOT   = 'hexapod-blocks.robot';
+
+  /**
+   * Blocks of the palette. Fields are number inputs ({name, label, value,
+   * min, max}) or selects ({name, options}); run() queues the block's command
+   * on the hexapod and returns its Promise.
+   */
+  var BLOCKS = {
+    forward: {
+      label: 'Forward',
+      fields: [{name: 'cm', label: 'cm', value: 50, min: 1, max: 500}],
+      run: function(hexapod, v){ return hexapod.goForward(v.cm/100); }
+    },
+    back: {
+      label: 'Back',
+      fields: [{name: 'cm', label: 'cm', value: 50, min: 1, max: 500}],
+      run: function(hexapod, v){ return hexapod.goBack(v.cm/100); }
+    },
+    left: {
+      label: 'Turn left',
+      fields: [{name: 'degrees', label: '°', value: 90, min: 1, max: 360}],
+      run: function(hexapod, v){ return hexapod.turnLeft(v.degrees); }
+    },
+    right: {
+      label: 'Turn right',
+      fields: [{name: 'degrees', label: '°', value: 90, min: 1, max: 360}],
+      run: function(hexapod, v){ return hexapod.turnRight(v.degrees); }
+    },
+    strafe: {
+      label: 'Walk sideways',
+      fields: [{name: 'direction', options: ['right', 'left']},
+               {name: 'cm', label: 'cm', value: 20, min: 1, max: 500}],
+      run: function(hexapod, v){ return hexapod.strafe(v.direction === 'left' ? -90 : 90, v.cm/100); }
+    },
+    arc: {
+      label: 'Arc',
+      fields: [{name: 'direction', options: ['right', 'left']},
+               {name: 'radius', label: 'cm radius,', value: 30, min: 0, max: 500},
+               {name: 'degrees', label: '°', value: 90, min: 1, max: 360}],
+      run: function(hexapod, v){
+        return hexapod.arc(v.radius/100, v.direction === 'left' ? -v.degrees : v.degrees);
+      }
+    },
+    tilt: {
+      label: 'Tilt',
+      fields: [{name: 'direction', options: ['forward', 'back', 'left', 'right']},
+               {name: 'seconds', label: 's', value: 2, min: 0.1, max: 30}],
+      run: function(hexapod, v){
+        var method = 'tilt' + v.direction[0].toUpperCase() + v.direction.slice(1);
+        return hexapod[method](v.seconds);
+      }
+    },
+    height: {
+      label: 'Body height',
+      fields: [{name: 'percent', label: '%', value: 50, min: 0, max: 100}],
+      run: function(hexapod, v){ return hexapod.setHeight(v.percent); }
+    },
+    rest: {
+      label: 'Rest',
+      fields: [{name: 'seconds', label: 's', value: 1, min: 0.1, max: 60}],
+      run: function(hexapod, v){ return hexapod.rest(v.seconds); }
+    },
+    packet: {
+      label: 'Custom packet',
+      fields: [{name: 'power', label: 'power,', value: 50, min: 0, max: 100},
+               {name: 'angle', label: '° angle,', value: 0, min: -180, max: 180},
+               {name: 'rotation', label: 'rotation,', value: 0, min: -100, max: 100},
+               {name: 'seconds', label: 's', value: 1, min: 0.1, max: 60}],
+      run: function(hexapod, v){
+        return hexapod.sendCustomPacket(new Hexapod.Packet({
+          power: v.power, angle: v.angle, rotation: v.rotation, duration: Math.round(v.seconds*50)
+        }));
+      }
+    },
+    repeat: {
+      label: 'Repeat',
+      fields: [{name: 'times', label: 'times', value: 4, min: 1, max: 50}],
+      body: true
+    }
+  };
+
+  var program = load(STORAGE_PROGRAM) || [];
+  var robot   = load(STORAGE_ROBOT) || {ip: '192.168.4.1', port: 80, beginner: true};
+  var hexapod = new Hexapod(robot.ip, robot.port);
+  var lastId  = 0;
+  var blockOfCmd = {};  //command id -> block id, while running
+  var running = false;
+
+  forEachBlock(program, function(block){ lastId = Math.max(lastId, block.id); });
+  setSafety();
+
+  function $(id){ return document.getElementById(id); }
+
+  function load(key){
+    try {
+      return JSON.parse(localStorage.getItem(key));
+    } catch(error) {
+      return undefined;
+    }
+  }
+
+  function save(){
+    localStorage.setItem(STORAGE_PROGRAM, JSON.stringify(program));
+    localStorage.setItem(STORAGE_ROBOT, JSON.stringify(robot));
+  }
+
+  function setSafety(){
+    hexapod.safety = new Hexapod.SafetyPolicy(robot.beginner ? 'beginner' : undefined);
+  }
+
+  function forEachBlock(blocks, callback){
+    blocks.forEach(function(block){
+      callback(block);
+      if(block.body) forEachBlock(block.body, callback);
+    });
+  }
+
+  function createBlock(type){
+    var values = {};
+    BLOCKS[type].fields.forEach(function(field){
+      values[field.name] = field.options ? field.options[0] : field.value;
+    });
+    return {id: ++lastId, type: type, values: values, body: BLOCKS[type].body ? [] : undefined};
+  }
+
+  /**
+   * @returns {object} {block, list, index} of the block with the id
+   */
+  function findBlock(id, blocks){
+    blocks = blocks || program;
+    for(var i = 0; i < blocks.length; i++){
+      if(blocks[i].id === id) return {block: blocks[i], list: blocks, index: i};
+      var found = blocks[i].body && findBlock(id, blocks[i].body);
+      if(found) return found;
+    }
+    return undefined;
+  }
+
+  /**
+   * Queues the blocks' commands on the hexapod.
+   *
+   * @param {function} [queued] called with (promise, block) for each command
+   * @returns {Promise} resolved when all the commands are done
+   */
+  function runBlocks(target, blocks, queued){
+    var promises = [];
+    blocks.forEach(function(block){
+      if(block.type === 'repeat'){
+        for(var i = 0; i < block.values.times; i++){
+          promises.push(runBlocks(target, block.body, queued));
+        }
+        return;
+      }
+      var promise = BLOCKS[block.type].run(target, block.values);
+      if(queued) queued(promise, block);
+      promises.push(promise);
+    });
+    return Promise.all(promises);
+  }
+
+  // ---------------------------------------------------------------- editing
+
+  function render(){
+    var root = $('program');
+    root.innerHTML = '';
+    renderList(program, root);
+    root.classList.toggle('empty', program.length === 0);
+    save();
+    preview();
+  }
+
+  function renderList(blocks, container){
+    blocks.forEach(function(block){ container.appendChild(renderBlock(block)); });
+  }
+
+  function renderBlock(block){
+    var definition = BLOCKS[block.type];
+    var element = document.createElement('div');
+    element.className = 'block block-' + block.type;
+    element.id = 'block-' + block.id;
+    element.draggable = true;
+    element.addEventListener('dragstart', function(event){
+      event.stopPropagation();
+      event.dataTransfer.setData('text/plain', JSON.stringify({id: block.id}));
+    });
+
+    var line = document.createElement('div');
+    line.className = 'line';
+    line.appendChild(text(definition.label));
+    definition.fields.forEach(function(field){
+      line.appendChild(renderField(block, field));
+      if(field.label) line.appendChild(text(field.label));
+    });
+    var remove = document.createElement('button');
+    remove.className = 'remove';
+    remove.title = 'Remove';
+    remove.textContent = '×';
+    remove.onclick = function(){
+      var found = findBlock(block.id);
+      found.list.splice(found.index, 1);
+      render();
+    };
+    line.appendChild(remove);
+    element.appendChild(line);
+
+    if(block.body){
+      var body = document.createElement('div');
+      body.className = 'block-list body';
+      renderList(block.body, body);
+      makeDropTarget(body, block.body, block.id);
+      element.appendChild(body);
+    }
+    return element;
+  }
+
+  function renderField(block, field){
+    var input;
+    if(field.options){
+      input = document.createElement('select');
+      field.options.forEach(function(option){
+        var element = document.createElement('option');
+        element.value = element.textContent = option;
+        input.appendChild(element);
+      });
+    } else {
+      input = document.createElement('input');
+      input.type = 'number';
+      input.min = field.min;
+      input.max = field.max;
+      input.step = 'any';
+    }
+    input.value = block.values[field.name];
+    input.onchange = function(){
+      var value = field.options ? input.value : Number(input.value);
+      if(!field.options && !(value >= field.min && value <= field.max)){
+        input.value = block.values[field.name];
+        return;
+      }
+      block.values[field.name] = value;
+      save();
+      preview();
+    };
+    return input;
+  }
+
+  function text(content){
+    var span = document.createElement('span');
+    span.textContent = ' ' + content + ' ';
+    return span;
+  }
+
+  /**
+   * Lets blocks be dropped into the list; they go before the block under
+   * the pointer, or at the end.
+   *
+   * @param {number} [ownerId] id of the repeat block whose body the list is
+   */
+  function makeDropTarget(container, list, ownerId){
+    container.addEventListener('dragover', function(event){
+      event.preventDefault();
+      event.stopPropagation();
+      container.classList.add('over');
+    });
+    container.addEventListener('dragleave', function(){
+      container.classList.remove('over');
+    });
+    container.addEventListener('drop', function(event){
+      event.preventDefault();
+      event.stopPropagation();
+      container.classList.remove('over');
+      var data = JSON.parse(event.dataTransfer.getData('text/plain') || '{}');
+
+      var index = list.length;
+      for(var i = 0; i < container.children.length; i++){
+        var box = container.children[i].getBoundingClientRect();
+        if(event.clientY < box.top + box.height/2){ index = i; break; }
+      }
+
+      var block;
+      if(data.type){
+        block = createBlock(data.type);
+      } else {
+        var found = findBlock(data.id);
+        if(!found) return;
+        block = found.block;
+        if(ownerId !== undefined && (block.id === ownerId || findBlock(ownerId, block.body || []))){
+          return; // a repeat can't go into itself
+        }
+        if(found.list === list && found.index < index) index--;
+        found.list.splice(found.index, 1);
+      }
+      list.splice(index, 0, block);
+      render();
+    });
+  }
+
+  function renderPalette(){
+    var palette = $('palette');
+    Object.keys(BLOCKS).forEach(function(type){
+      var element = document.createElement('div');
+      element.className = 'block block-' + type;
+      element.textContent = BLOCKS[type].label;
+      element.title = 'Drag into the program, or click to add at the end';
+      element.draggable = true;
+      element.addEventListener('dragstart', function(event){
+        event.dataTransfer.setData('text/plain', JSON.stringify({type: type}));
+      });
+      element.onclick = function(){
+        program.push(createBlock(type));
+        render();
+      };
+      palette.appendChild(element);
+    });
+
+    // blocks dragged back to the palette are removed
+    palette.addEventListener('dragover', function(event){ event.preventDefault(); });
+    palette.addEventListener('drop', function(event){
+      event.preventDefault();
+      var data = JSON.parse(event.dataTransfer.getData('text/plain') || '{}');
+      var found = data.id !== undefined && findBlock(data.id);
+      if(!found) return;
+      found.list.splice(found.index, 1);
+      render();
+    });
+  }
+
+  // ------------------------------------------------------ preview and run
+
+  /**
+   * Every run starts from the origin, with the safety limits' runtime at 0.
+   */
+  function startFresh(){
+    hexapod.resetPose();
+    hexapod.safety.reset();
+  }
+
+  function preview(){
+    var failed = []; //{blockId, error}
+    if(!running) startFresh();
+    var timeline = hexapod.plan(function(planner){
+      runBlocks(planner, program, function(promise, block){
+        promise.catch(function(error){ failed.push({blockId: block.id, error: error}); });
+      }).catch(function(){}); //shown on the blocks
+    });
+    // rejected promises report the failures, once their callbacks have run
+    Promise.resolve().then(function(){ showPreview(timeline, failed); });
+  }
+
+  function showPreview(timeline, failed){
+    var errors = {}; //block id -> message
+    failed.forEach(function(failure){ errors[failure.blockId] = failure.error.message; });
+    forEachBlock(program, function(block){
+      var element = $('block-' + block.id);
+      element.classList.toggle('error', !!errors[block.id]);
+      element.title = errors[block.id] || '';
+    });
+
+    var pose = timeline.endPose;
+    $('preview').textContent = program.length === 0 ? 'Drag blocks here to make a program.' :
+      'Takes about ' + Math.round(timeline.totalTime) + ' s, ' +
+      'ends ' + Math.round(Math.sqrt(pose.x*pose.x + pose.y*pose.y)*100) + ' cm from the start' +
+      (failed.length ? '. Some blocks won\'t work, see the red ones.' : '.');
+  }
+
+  function highlight(blockId){
+    var current = document.querySelector('.block.running');
+    if(current) current.classList.remove('running');
+    var element = blockId !== undefined && $('block-' + blockId);
+    if(element) element.classList.add('running');
+  }
+
+  function setRunning(value, status){
+    running = value;
+    $('run').disabled = value;
+    $('stop').disabled = !value;
+    $('status').textContent = status;
+    if(!value) highlight(undefined);
+  }
+
+  function run(){
+    if(running || program.length === 0) return;
+    blockOfCmd = {};
+    startFresh();
+    setRunning(true, 'Running...');
+
+    runBlocks(hexapod, program, function(promise, block){
+      blockOfCmd[promise.id] = block.id;
+    }).then(function(){
+      if(running) setRunning(false, 'Done!');
+    }, function(error){
+      if(!running) return;
+      hexapod.emergencyStop();
+      setRunning(false, 'Stopped: ' + error.message);
+    });
+  }
+
+  function stop(){
+    if(!running) return;
+    setRunning(false, 'Stopped.');
+    hexapod.emergencyStop();
+  }
+
+  hexapod.on('commandStart', function(event){
+    highlight(blockOfCmd[event.cmd.id]);
+  });
+
+  // --------------------------------------------------------------- robot
+
+  function showRobot(){
+    $('ip').value = robot.ip;
+    $('port').value = robot.port;
+    $('beginner').checked = robot.beginner;
+  }
+
+  function setRobot(){
+    var ip = $('ip').value.trim();
+    var port = Number($('port').value);
+    if(!Hexapod.isValidIP(ip) || !(port > 0 && port < 65536)){
+      $('robot-status').textContent = 'That is not a valid address, e.g. 192.168.4.1 and port 80';
+      return;
+    }
+    robot.ip = hexapod.ip = ip;
+    robot.port = hexapod.port = port;
+    save();
+    $('robot-status').textContent = 'Robot at ' + ip + ':' + port;
+  }
+
+  function findRobots(){
+    var list = $('robots');
+    var subnet = robot.ip.split('.').slice(0, 3).join('.') + '.0/24';
+    list.innerHTML = '';
+    $('find').disabled = true;
+    Hexapod.discovery.scan({
+      subnet: subnet,
+      port: robot.port,
+      onCandidate: function(candidate){
+        if(!candidate.robot) return;
+        var button = document.createElement('button');
+        button.textContent = candidate.ip + ' (' + candidate.latency + ' ms)';
+        button.onclick = function(){
+          $('ip').value = candidate.ip;
+          setRobot();
+        };
+        list.appendChild(button);
+      },
+      onProgress: function(probed, total){
+        $('robot-status').textContent = 'Looking in ' + subnet + ': ' + probed + '/' + total;
+      }
+    }).then(function(candidates){
+      var found = candidates.filter(function(candidate){ return candidate.robot; }).length;
+      $('robot-status').textContent = found ? 'Pick your robot:' : 'No robots found in ' + subnet;
+      $('find').disabled = false;
+    });
+  }
+
+  // ---------------------------------------------------------------- start
+
+  window.addEventListener('load', function(){
+    renderPalette();
+    makeDropTarget($('program'), program);
+    showRobot();
+    render();
+
+    $('run').onclick = run;
+    $('stop').onclick = stop;
+    $('clear').onclick = function(){
+      if(running || !window.confirm('Remove all the blocks?')) return;
+      program.length = 0;
+      render();
+    };
+    $('save-robot').onclick = setRobot;
+    $('find').onclick = findRobots;
+    $('beginner').onchange = function(){
+      robot.beginner = $('beginner').checked;
+      setSafety();
+      save();
+      preview();
+    };
+  });
+})();